@@ -0,0 +1,76 @@
+// Plays the chart perfectly: presses and releases each lane at the notes' exact hit
+// times through GameEngine.handleInput, the same path a player's keys take
+class AutoplayController {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.pendingReleases = []; // { lane, time } for hold notes still being held
+        this.pendingMashes = []; // { lane, time, end } next press on each running mash note
+        this.mashInterval = 1000 / 15; // Presses mash notes 15 times a second
+    }
+
+    reset() {
+        this.pendingReleases = [];
+        this.pendingMashes = [];
+    }
+
+    // Called from the game loop every frame, before hold scoring and miss checks
+    update(songTime) {
+        const engine = this.gameEngine;
+        const judgeTime = engine.getJudgeTime(songTime);
+        const inputs = [];
+
+        engine.notes.forEach(note => {
+            if (note.hit || note.missed || note.autoplayed || note.hitTime > judgeTime) return;
+
+            note.autoplayed = true;
+
+            // Hammers are left alone, mash notes are pressed over and over below
+            if (note.type === 'hammer') return;
+            if (note.type === 'mash') {
+                this.pendingMashes.push({ lane: note.lane, time: note.hitTime, end: note.hitTime + note.duration });
+                return;
+            }
+
+            inputs.push({ lane: note.lane, action: 'press', time: note.hitTime, order: 1 });
+
+            if (note.type === 'hold') {
+                // The engine lets go of a hold still running in this lane when the new one
+                // is pressed, so its later release would cut the new hold short
+                this.pendingReleases = this.pendingReleases.filter(release => release.lane !== note.lane || release.time <= note.hitTime);
+                this.pendingReleases.push({ lane: note.lane, time: note.hitTime + note.duration });
+            } else if (!this.pendingReleases.some(release => release.lane === note.lane)) {
+                // Don't let go of a lane that is still holding an earlier note
+                inputs.push({ lane: note.lane, action: 'release', time: note.hitTime, order: 2 });
+            }
+        });
+
+        this.pendingMashes = this.pendingMashes.filter(mash => {
+            while (mash.time <= judgeTime && mash.time <= mash.end) {
+                inputs.push({ lane: mash.lane, action: 'press', time: mash.time, order: 1 });
+                inputs.push({ lane: mash.lane, action: 'release', time: mash.time, order: 2 });
+                mash.time += this.mashInterval;
+            }
+            return mash.time <= mash.end;
+        });
+
+        this.pendingReleases = this.pendingReleases.filter(release => {
+            if (release.time > judgeTime) return true;
+
+            inputs.push({ lane: release.lane, action: 'release', time: release.time, order: 0 });
+            return false;
+        });
+
+        // A hold ending on the same tick as the next note is released before that note is pressed
+        inputs.sort((a, b) => a.time - b.time || a.order - b.order);
+
+        // handleInput subtracts the audio offset, add it back so inputs are judged at hitTime
+        inputs.forEach(input => {
+            engine.handleInput(input.lane, input.action, input.time + engine.audioOffset * engine.getJudgeRate());
+        });
+    }
+}
+
+// Allow requiring under Node for headless simulation
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AutoplayController;
+}
@@ -70,7 +70,7 @@ class BeatChartGenerator {
         };
     }
 
-    generateChart(durationMs, travelTimeMs = 3000) {
+    generateChart(durationMs) {
         const chart = [];
         const bpm = this.audioManager.bpm;
         const beatInterval = this.audioManager.beatInterval;
@@ -90,21 +90,17 @@ class BeatChartGenerator {
             const currentPattern = pattern[patternIndex % pattern.length];
             
             const hitTime = currentBeat * beatInterval;
-            const spawnTime = hitTime - travelTimeMs;
             
-            // Only add notes that should spawn after game starts
-            if (spawnTime >= 0) {
-                if (currentPattern.top || currentPattern.bottom) {
-                    chart.push({
-                        spawnTime: spawnTime,
-                        hitTime: hitTime,
-                        topLane: currentPattern.top,
-                        bottomLane: currentPattern.bottom,
-                        beat: currentBeat,
-                        section: currentSection.name,
-                        intensity: currentSection.intensity
-                    });
-                }
+            // Spawn times are worked out at runtime from the player's scroll speed
+            if (currentPattern.top || currentPattern.bottom) {
+                chart.push({
+                    hitTime: hitTime,
+                    topLane: currentPattern.top,
+                    bottomLane: currentPattern.bottom,
+                    beat: currentBeat,
+                    section: currentSection.name,
+                    intensity: currentSection.intensity
+                });
             }
             
             currentBeat++;
@@ -149,8 +145,8 @@ class BeatChartGenerator {
     }
 
     // Generate dynamic difficulty based on player performance
-    generateAdaptiveChart(durationMs, playerAccuracy = 0.8, travelTimeMs = 3000) {
-        const baseChart = this.generateChart(durationMs, travelTimeMs);
+    generateAdaptiveChart(durationMs, playerAccuracy = 0.8) {
+        const baseChart = this.generateChart(durationMs);
         
         // Adjust difficulty based on player accuracy
         if (playerAccuracy > 0.9) {
@@ -203,9 +199,9 @@ class BeatChartGenerator {
     }
 
     // Create a preview chart for testing
-    generateTestChart(travelTimeMs = 3000) {
+    generateTestChart() {
         const testDuration = 30000; // 30 seconds
-        return this.generateChart(testDuration, travelTimeMs);
+        return this.generateChart(testDuration);
     }
 
     // Validate chart timing
@@ -223,9 +219,9 @@ class BeatChartGenerator {
                 isValid = false;
             }
             
-            // Check for negative spawn times
-            if (current.spawnTime < 0) {
-                issues.push(`Note ${i} has negative spawn time`);
+            // Check for notes before the song starts
+            if (current.hitTime < 0) {
+                issues.push(`Note ${i} has negative hit time`);
                 isValid = false;
             }
         }
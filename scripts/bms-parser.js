@@ -0,0 +1,446 @@
+// Parses .bms/.bme/.bml text into the grid chart BMSTimingEngine reads:
+// { metadata, audio, charts: { <difficulty>: { level, measures } } }.
+// Key channels are folded onto the two lanes; anything that can't be converted is
+// listed in the report returned with the chart, e.g.
+//
+//   node scripts/bms-parser.js song.bme > song.json
+class BMSParser {
+    // options.laneMapping: visible key channel ('11'-'19' player 1, '21'-'29' player 2)
+    // -> 'top', 'bottom' (or any lane name) or null to leave it out. Long note (5x/6x)
+    // and mine (Dx/Ex) channels follow the key they belong to. options.lanes orders the
+    // lanes top to bottom, by default in the order of their first channel.
+    constructor(options = {}) {
+        this.laneMapping = options.laneMapping || {
+            '16': 'top', '11': 'top', '12': 'top', '13': 'top', // Scratch and keys 1-3
+            '14': 'bottom', '15': 'bottom', '18': 'bottom', '19': 'bottom', // Keys 4-7
+            '21': 'top', '22': 'top', '23': 'top',
+            '24': 'bottom', '25': 'bottom', '26': 'bottom', '28': 'bottom', '29': 'bottom'
+        };
+        this.lanes = options.lanes || [...new Set(Object.values(this.laneMapping).filter(lane => lane))];
+        this.difficultyNames = { 1: 'beginner', 2: 'normal', 3: 'hyper', 4: 'another', 5: 'insane' };
+        this.defaultBpm = 130; // What BMS players assume without #BPM
+        this.maxSubdivision = 3840; // Finer measures are snapped to 192 steps
+        this.logger = options.logger || console;
+    }
+
+    // BMS files are often Shift_JIS; use it when the bytes aren't valid UTF-8
+    decode(buffer) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (error) {
+            return new TextDecoder('shift_jis').decode(buffer);
+        }
+    }
+
+    // Returns { chart, report } with report a list of messages about what was left out
+    parse(text) {
+        const report = [];
+        const { headers, wavs, bpmDefs, stopDefs, lines } = this.readLines(text, report);
+        const measureCount = lines.reduce((count, line) => Math.max(count, line.measure + 1), 0);
+
+        const measureLengths = {};
+        const tempoObjects = []; // { measure, index, length, bpm } or { ..., stop }
+        const keyObjects = []; // { measure, index, length, id, channel, kind, lane }
+        const bgmObjects = [];
+        const ignored = {}; // channel -> objects left out
+
+        lines.forEach(line => {
+            const channel = line.channel;
+            if (channel === '02') {
+                measureLengths[line.measure] = parseFloat(line.data);
+                return;
+            }
+
+            this.splitObjects(line, report).forEach(object => {
+                if (channel === '01') {
+                    bgmObjects.push(object);
+                } else if (channel === '03') {
+                    tempoObjects.push({ ...object, bpm: parseInt(object.id, 16) });
+                } else if (channel === '08' || channel === '09') {
+                    const defs = channel === '08' ? bpmDefs : stopDefs;
+                    if (defs[object.id] === undefined) {
+                        report.push(`#${channel === '08' ? 'BPM' : 'STOP'}${object.id} is used in measure ${object.measure} but never defined`);
+                        return;
+                    }
+                    tempoObjects.push(channel === '08' ? { ...object, bpm: defs[object.id] } : { ...object, stop: defs[object.id] });
+                } else {
+                    const keyObject = this.classifyKeyObject(object, channel, headers);
+                    if (keyObject) {
+                        keyObjects.push(keyObject);
+                    } else {
+                        ignored[channel] = (ignored[channel] || 0) + 1;
+                    }
+                }
+            });
+        });
+
+        if (Object.keys(ignored).length > 0) {
+            const channels = Object.entries(ignored).map(([channel, count]) => `${channel} (${count})`).join(', ');
+            report.push(`Left out objects in channels without a lane: ${channels}`);
+        }
+        if (headers.LNTYPE === '2') {
+            report.push('#LNTYPE 2 long notes are not supported, their channels were read as LNTYPE 1');
+        }
+
+        const laneNotes = this.pairLongNotes(keyObjects, headers.LNOBJ, report);
+        const chart = this.buildChart(headers, measureCount, measureLengths, tempoObjects, laneNotes, report);
+        this.applyAudio(chart, bgmObjects, wavs, laneNotes, report);
+
+        report.forEach(message => this.logger.warn('BMS import:', message));
+        return { chart, report };
+    }
+
+    // Headers, definitions and #mmmcc:data lines; #IF blocks other than #IF 1 are skipped
+    readLines(text, report) {
+        const headers = {};
+        const wavs = {};
+        const bpmDefs = {};
+        const stopDefs = {};
+        const lines = [];
+        let skipping = false;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line.startsWith('#')) return;
+
+            const control = line.match(/^#(RANDOM|SETRANDOM|IF|ELSEIF|ELSE|ENDIF|ENDRANDOM)\b\s*(\d*)/i);
+            if (control) {
+                const command = control[1].toUpperCase();
+                if (command === 'RANDOM' || command === 'SETRANDOM') {
+                    if (!report.includes('Random branches: only the #IF 1 branches were used')) {
+                        report.push('Random branches: only the #IF 1 branches were used');
+                    }
+                } else if (command === 'IF' || command === 'ELSEIF') {
+                    skipping = Number(control[2]) !== 1;
+                } else if (command === 'ELSE') {
+                    skipping = true;
+                } else {
+                    skipping = false;
+                }
+                return;
+            }
+            if (skipping) return;
+
+            const data = line.match(/^#(\d{3})([0-9A-Z]{2}):(.*)$/i);
+            if (data) {
+                lines.push({ measure: Number(data[1]), channel: data[2].toUpperCase(), data: data[3].trim() });
+                return;
+            }
+
+            const header = line.match(/^#([0-9A-Z]+)(?:\s+(.*))?$/i);
+            if (!header) return;
+
+            const key = header[1].toUpperCase();
+            const value = (header[2] || '').trim();
+            const definition = key.match(/^(WAV|BPM|STOP)([0-9A-Z]{2})$/);
+
+            if (definition && definition[1] === 'WAV') {
+                wavs[definition[2]] = value;
+            } else if (definition && definition[1] === 'BPM') {
+                bpmDefs[definition[2]] = parseFloat(value);
+            } else if (definition && definition[1] === 'STOP') {
+                stopDefs[definition[2]] = parseFloat(value);
+            } else {
+                headers[key] = value;
+            }
+        });
+
+        return { headers, wavs, bpmDefs, stopDefs, lines };
+    }
+
+    // Non-empty objects of a data line, each with its position as index / length in the measure
+    splitObjects(line, report) {
+        const data = line.data.replace(/\s/g, '');
+        if (data.length % 2 !== 0) {
+            report.push(`Measure ${line.measure} channel ${line.channel} has an odd number of characters, the last one was dropped`);
+        }
+
+        const length = Math.floor(data.length / 2);
+        const objects = [];
+        for (let index = 0; index < length; index++) {
+            const id = data.substr(index * 2, 2).toUpperCase();
+            if (id !== '00') {
+                objects.push({ measure: line.measure, index, length, id, channel: line.channel });
+            }
+        }
+        return objects;
+    }
+
+    // Visible keys are taps, 5x/6x long note halves and Dx/Ex mines (hammers); null to leave it out
+    classifyKeyObject(object, channel, headers) {
+        const kinds = { '1': 'tap', '2': 'tap', '5': 'ln', '6': 'ln', 'D': 'mine', 'E': 'mine' };
+        const players = { '1': '1', '2': '2', '5': '1', '6': '2', 'D': '1', 'E': '2' };
+        const kind = kinds[channel[0]];
+        if (!kind) return null;
+
+        const keyChannel = players[channel[0]] + channel[1];
+        const lane = this.laneMapping[keyChannel];
+        if (!lane) return null;
+
+        const isLongNoteEnd = kind === 'tap' && headers.LNOBJ && object.id === headers.LNOBJ.toUpperCase();
+        return { ...object, kind: isLongNoteEnd ? 'lnobj' : kind, lane, position: object.measure + object.index / object.length };
+    }
+
+    // Turns long note halves into start/end pairs, then lays each lane out in time order.
+    // Notes that land inside a long note of the same lane, or on a spot already taken, are dropped.
+    pairLongNotes(keyObjects, lnobj, report) {
+        const byChannel = {};
+        keyObjects.forEach(object => {
+            (byChannel[object.channel] = byChannel[object.channel] || []).push(object);
+        });
+
+        Object.values(byChannel).forEach(objects => {
+            objects.sort((a, b) => a.position - b.position);
+            let openStart = null;
+            let previousTap = null;
+
+            objects.forEach(object => {
+                if (object.kind === 'ln') {
+                    if (openStart) {
+                        openStart.kind = 'lnStart';
+                        object.kind = 'lnEnd';
+                        openStart.end = object;
+                        openStart = null;
+                    } else {
+                        openStart = object;
+                    }
+                } else if (object.kind === 'lnobj') {
+                    if (previousTap) {
+                        previousTap.kind = 'lnStart';
+                        object.kind = 'lnEnd';
+                        previousTap.end = object;
+                    } else {
+                        object.kind = 'dropped';
+                        report.push(`#LNOBJ end without a note before it in channel ${object.channel}, measure ${object.measure}`);
+                    }
+                    previousTap = null;
+                } else if (object.kind === 'tap') {
+                    previousTap = object;
+                }
+            });
+
+            if (openStart) {
+                openStart.kind = 'dropped';
+                report.push(`Long note in channel ${openStart.channel}, measure ${openStart.measure} never ends and was left out`);
+            }
+        });
+
+        // Several keys share a lane: the lane gets the first note on each spot
+        const order = { lnEnd: 0, lnStart: 1, tap: 2, mine: 3 };
+        const laneNotes = {};
+        this.lanes.forEach(lane => {
+            laneNotes[lane] = [];
+        });
+        let merged = 0;
+        let insideLongNote = 0;
+
+        Object.keys(laneNotes).forEach(lane => {
+            const objects = keyObjects
+                .filter(object => object.lane === lane && object.kind !== 'dropped')
+                .sort((a, b) => a.position - b.position || order[a.kind] - order[b.kind]);
+            const taken = new Set();
+            const droppedEnds = new Set();
+            let openLongNote = null;
+
+            objects.forEach(object => {
+                if (object.kind === 'lnEnd') {
+                    if (openLongNote && openLongNote.end === object) {
+                        openLongNote = null;
+                        taken.add(object.position);
+                        laneNotes[lane].push(object);
+                    } else if (!droppedEnds.has(object)) {
+                        droppedEnds.add(object);
+                    }
+                    return;
+                }
+
+                if (openLongNote || taken.has(object.position)) {
+                    if (openLongNote) insideLongNote++; else merged++;
+                    if (object.kind === 'lnStart') droppedEnds.add(object.end);
+                    return;
+                }
+
+                taken.add(object.position);
+                laneNotes[lane].push(object);
+                if (object.kind === 'lnStart') {
+                    openLongNote = object;
+                }
+            });
+        });
+
+        if (merged > 0) {
+            report.push(`${merged} notes landed on a spot another key already filled in the same lane and were merged`);
+        }
+        if (insideLongNote > 0) {
+            report.push(`${insideLongNote} notes fell inside a long note of the same lane and were left out`);
+        }
+
+        return laneNotes;
+    }
+
+    buildChart(headers, measureCount, measureLengths, tempoObjects, laneNotes, report) {
+        const chars = { tap: '1', mine: 'X', lnStart: '2', lnEnd: '3' };
+        const isLongNote = char => char === '2' || char === '3';
+        const measures = [];
+        let collisions = 0;
+        let longNoteCollisions = 0;
+
+        for (let measure = 0; measure < measureCount; measure++) {
+            const notes = this.lanes.flatMap(lane => laneNotes[lane]).filter(note => note.measure === measure);
+            const subdivision = this.getGridSize(notes, measure, report);
+            const lanes = {};
+            this.lanes.forEach(lane => {
+                lanes[lane] = Array(subdivision).fill('0');
+            });
+
+            // A note snapped onto a 192 grid can round up to the end of the measure, and can land
+            // on the slot of another note. The first note keeps the slot, but a long note start
+            // or end wins it from a tap or mine so its hold still pairs up.
+            notes.forEach(note => {
+                const slot = Math.min(subdivision - 1, Math.round(note.index * subdivision / note.length));
+                const char = chars[note.kind];
+                const current = lanes[note.lane][slot];
+
+                if (current !== '0') {
+                    if (isLongNote(current) && isLongNote(char)) {
+                        longNoteCollisions++;
+                        return;
+                    }
+                    collisions++;
+                    if (!isLongNote(char)) return;
+                }
+                lanes[note.lane][slot] = char;
+            });
+
+            const entry = { subdivision };
+            this.lanes.forEach(lane => {
+                entry[`${lane}Lane`] = lanes[lane].join('');
+            });
+            if (measureLengths[measure] !== undefined && measureLengths[measure] !== 1) {
+                entry.beatsPerMeasure = measureLengths[measure] * 4; // #xxx02 is a fraction of a 4/4 bar
+            }
+            measures.push(entry);
+        }
+
+        if (collisions > 0) {
+            report.push(`${collisions} notes snapped onto a spot another note of the same lane already filled and were left out`);
+        }
+        if (longNoteCollisions > 0) {
+            report.push(`${longNoteCollisions} long note starts or ends snapped onto another long note's and were left out, the holds around them may pair up wrongly`);
+        }
+
+        let bpm = parseFloat(headers.BPM);
+        if (!(bpm > 0)) {
+            report.push(`No usable #BPM header, using ${this.defaultBpm}`);
+            bpm = this.defaultBpm;
+        }
+
+        const tempoSubdivision = this.getGridSize(tempoObjects, 'tempo', report);
+        const tempoPosition = object => ({
+            measure: object.measure,
+            subdivision: Math.min(tempoSubdivision - 1, Math.round(object.index * tempoSubdivision / object.length))
+        });
+        const sortedTempo = [...tempoObjects].sort((a, b) =>
+            a.measure - b.measure || a.index / a.length - b.index / b.length || (a.bpm !== undefined ? -1 : 1));
+
+        const bpmChanges = [];
+        const stops = [];
+        let currentBpm = bpm;
+        sortedTempo.forEach(object => {
+            if (object.bpm !== undefined) {
+                if (object.bpm > 0) {
+                    bpmChanges.push({ ...tempoPosition(object), bpm: object.bpm });
+                    currentBpm = object.bpm;
+                } else {
+                    report.push(`BPM change to ${object.bpm} in measure ${object.measure} is not supported and was left out`);
+                }
+            } else if (object.stop > 0) {
+                // #STOP counts 1/192 of a 4/4 bar at the tempo in effect
+                stops.push({ ...tempoPosition(object), duration: (object.stop / 48) * 60 / currentBpm });
+            }
+        });
+
+        const level = parseInt(headers.PLAYLEVEL, 10);
+        const difficulty = this.difficultyNames[headers.DIFFICULTY] || 'normal';
+
+        return {
+            metadata: {
+                title: headers.TITLE || 'Unknown Song',
+                artist: headers.ARTIST || null,
+                lanes: this.lanes,
+                bpm: bpm,
+                subdivision: tempoSubdivision,
+                beatsPerMeasure: 4,
+                offset: 0,
+                bpmChanges: bpmChanges,
+                stops: stops
+            },
+            audio: {},
+            charts: {
+                [difficulty]: {
+                    level: Number.isNaN(level) ? undefined : level,
+                    measures: measures
+                }
+            }
+        };
+    }
+
+    // Smallest number of steps that puts every object of a measure on the grid
+    getGridSize(objects, measure, report) {
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        const size = objects.reduce((lcm, object) => lcm * object.length / gcd(lcm, object.length), 16);
+
+        if (size > this.maxSubdivision) {
+            report.push(`Measure ${measure} needs ${size} steps, its objects were snapped to 192`);
+            return 192;
+        }
+        return size;
+    }
+
+    // BMS songs are usually built from keysounds. A single BGM sample is taken as the
+    // song audio, starting where it is placed; anything else plays without music.
+    applyAudio(chart, bgmObjects, wavs, laneNotes, report) {
+        const ids = [...new Set(bgmObjects.map(object => object.id))];
+
+        if (ids.length === 1 && wavs[ids[0]]) {
+            const first = bgmObjects.reduce((earliest, object) =>
+                (object.measure + object.index / object.length < earliest.measure + earliest.index / earliest.length ? object : earliest));
+            const TimingEngine = typeof BMSTimingEngine !== 'undefined' ? BMSTimingEngine : require('./bms-timing-engine.js');
+            const timingEngine = new TimingEngine(chart, { log() {}, warn() {} });
+
+            chart.audio.music = wavs[ids[0]];
+            // Notes are shifted so the song audio starts at time 0
+            const audioStart = timingEngine.calculateNoteTime(first.measure, first.index, first.length);
+            chart.metadata.offset = -audioStart / 1000;
+
+            const early = this.lanes.flatMap(lane => laneNotes[lane])
+                .filter(note => note.kind !== 'lnEnd' && timingEngine.calculateNoteTime(note.measure, note.index, note.length) < audioStart);
+            if (early.length > 0) {
+                report.push(`${early.length} notes come before the song audio starts and land before time 0`);
+            }
+        } else if (ids.length > 1) {
+            report.push(`The song is made of ${ids.length} keysounds, which can't be played; the chart plays without music`);
+        } else {
+            report.push('No background audio found, the chart plays without music');
+        }
+    }
+}
+
+// Allow requiring under Node for headless simulation
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BMSParser;
+
+    if (require.main === module) {
+        const fs = require('fs');
+        const bmsPath = process.argv[2];
+
+        if (!bmsPath) {
+            console.error('Usage: node scripts/bms-parser.js <song.bms>');
+            process.exit(1);
+        }
+
+        const parser = new BMSParser({ logger: { warn: (...args) => console.error(...args) } });
+        const { chart } = parser.parse(parser.decode(fs.readFileSync(bmsPath)));
+        console.log(JSON.stringify(chart, null, 2));
+    }
+}
@@ -1,16 +1,64 @@
 class BMSTimingEngine {
-    constructor(chartData) {
+    constructor(chartData, logger = console) {
         this.chartData = chartData;
+        this.logger = logger;
         this.bpm = chartData.metadata.bpm;
         this.subdivision = chartData.metadata.subdivision;
         this.beatsPerMeasure = chartData.metadata.beatsPerMeasure;
         this.offset = chartData.metadata.offset;
-        this.secondsPerBeat = 60 / this.bpm;
+        // Lanes from top to bottom on screen, each measure has a `${lane}Lane` pattern for every one
+        this.lanes = chartData.metadata.lanes || ['top', 'bottom'];
+        this.secondsPerBeat = 60 / this.bpm; // At the starting tempo
+
+        // A measure can override beatsPerMeasure (in BPM beats, so 3/4 is 3 and 7/8 is 3.5)
+        // and subdivision (its pattern length, e.g. 12 for triplets). Time signatures are
+        // part of the song, so every difficulty has to agree on them.
+        this.measureBeats = this.buildMeasureBeats();
+        this.measureStartBeats = [0];
+
+        // Tempo map: metadata.bpmChanges [{ measure, subdivision, bpm }] and
+        // metadata.stops [{ measure, subdivision, duration }] with duration in seconds.
+        // subdivision is optional and counts from 0 at the metadata.subdivision resolution.
+        this.tempoSegments = this.buildTempoSegments(chartData.metadata.bpmChanges || []);
+        this.stops = (chartData.metadata.stops || [])
+            .map(stop => ({ beat: this.getAbsoluteBeat(stop.measure, stop.subdivision || 0), duration: stop.duration }))
+            .sort((a, b) => a.beat - b.beat);
+
+        // Lane pattern characters: '0' empty, '1' normal, 'G' ghost, 'X' hammer,
+        // 'D' one half of a double note (put one in each lane)
+        this.noteTypes = {
+            '1': 'single',
+            'G': 'ghost',
+            'X': 'hammer',
+            'D': 'double'
+        };
+        // Long notes run from their start character to the next end character in the
+        // same lane, across measures if needed: '2'...'3' hold, 'M'...'m' mash
+        this.longNoteTypes = {
+            '2': { end: '3', type: 'hold' },
+            'M': { end: 'm', type: 'mash' }
+        };
+        this.noteSymbols = { '1': '●', 'G': '○', 'X': '✖', 'D': '◆', '2': '(', '3': ')', 'M': '[', 'm': ']' };
+
+        // Effects lane characters, each one a gameplay event at its subdivision.
+        // metadata.effects adds or replaces characters, e.g.
+        //   { "a": { "type": "scrollSpeed", "multiplier": 2 }, "b": { "type": "background", "color": "#201040" } }
+        // Event types: scrollSpeed { multiplier }, flash { color, duration }, shake { intensity },
+        // swapLanes { swapped } (toggles without it), hideLanes { lanes }, background { color, image }, reset
+        this.effectTypes = {
+            'F': { type: 'flash' },
+            'S': { type: 'shake' },
+            'W': { type: 'swapLanes' },
+            'T': { type: 'hideLanes', lanes: [this.lanes[0]] }, // Top lane
+            'B': { type: 'hideLanes', lanes: [this.lanes[this.lanes.length - 1]] }, // Bottom lane
+            'N': { type: 'reset' },
+            ...(chartData.metadata.effects || {})
+        };
         
-        console.log(`BMS Engine initialized: ${this.bpm} BPM, ${this.subdivision} subdivisions, ${this.beatsPerMeasure} beats per measure`);
+        this.logger.log(`BMS Engine initialized: ${this.bpm} BPM, ${this.subdivision} subdivisions, ${this.beatsPerMeasure} beats per measure`);
     }
     
-    // Convert chart data to game-compatible format
+    // Convert chart data to game-compatible format: { notes, events }, both sorted by time
     convertToGameFormat(difficulty = 'easy') {
         const chart = this.chartData.charts[difficulty];
         if (!chart) {
@@ -18,81 +66,259 @@ class BMSTimingEngine {
         }
         
         const notes = [];
+        const events = [];
+        const openLongNotes = {}; // lane -> start of a hold or mash note waiting for its end
         
         chart.measures.forEach((measure, measureIndex) => {
-            // Process top lane
-            this.processLane(measure.topLane, measureIndex, 'top', notes);
-            // Process bottom lane
-            this.processLane(measure.bottomLane, measureIndex, 'bottom', notes);
+            const subdivision = this.getMeasureSubdivision(measure);
+            this.lanes.forEach(lane => {
+                this.processLane(measure[`${lane}Lane`], measureIndex, lane, notes, openLongNotes, subdivision);
+            });
+            // Process effects lane
+            this.processEffects(measure.effects, measureIndex, events, subdivision);
+        });
+
+        Object.keys(openLongNotes).forEach(laneName => {
+            const start = openLongNotes[laneName];
+            this.logger.warn(`${start.longNote.type} note in ${laneName} lane at measure ${start.measureIndex} is never closed with '${start.longNote.end}'`);
         });
         
-        // Sort notes by time
+        // Sort notes and events by time
         notes.sort((a, b) => a.hitTime - b.hitTime);
+        events.sort((a, b) => a.time - b.time);
         
-        console.log(`Converted ${notes.length} notes from BMS format`);
-        return notes;
+        this.logger.log(`Converted ${notes.length} notes and ${events.length} events from BMS format`);
+        return { notes, events };
+    }
+
+    // The effects lane is optional; an all-'0' string or none at all means no events
+    processEffects(effectsPattern, measureIndex, events, subdivision = this.subdivision) {
+        if (!effectsPattern) return;
+        if (effectsPattern.length !== subdivision) {
+            this.logger.warn(`Invalid effects length for measure ${measureIndex}: expected ${subdivision}, got ${effectsPattern.length}`);
+            return;
+        }
+
+        for (let i = 0; i < effectsPattern.length; i++) {
+            const char = effectsPattern[i];
+            if (char === '0') continue;
+
+            const effect = this.effectTypes[char];
+            if (!effect) {
+                this.logger.warn(`Unknown effect '${char}' in measure ${measureIndex}, subdivision ${i}`);
+                continue;
+            }
+
+            events.push({
+                ...effect,
+                time: this.calculateNoteTime(measureIndex, i, subdivision),
+                measureIndex: measureIndex,
+                subdivisionIndex: i
+            });
+        }
     }
     
-    processLane(lanePattern, measureIndex, laneName, notes) {
-        if (!lanePattern || lanePattern.length !== this.subdivision) {
-            console.warn(`Invalid pattern length for measure ${measureIndex}, lane ${laneName}: expected ${this.subdivision}, got ${lanePattern ? lanePattern.length : 0}`);
+    processLane(lanePattern, measureIndex, laneName, notes, openLongNotes = {}, subdivision = this.subdivision) {
+        if (!lanePattern || lanePattern.length !== subdivision) {
+            this.logger.warn(`Invalid pattern length for measure ${measureIndex}, lane ${laneName}: expected ${subdivision}, got ${lanePattern ? lanePattern.length : 0}`);
             return;
         }
         
         for (let i = 0; i < lanePattern.length; i++) {
-            if (lanePattern[i] === '1') {
-                // Calculate exact time for this note
-                const beatPosition = (i / this.subdivision) * this.beatsPerMeasure;
-                const absoluteBeat = (measureIndex * this.beatsPerMeasure) + beatPosition;
-                const timeInSeconds = (absoluteBeat * this.secondsPerBeat) + this.offset;
-                const timeInMs = timeInSeconds * 1000;
-                
-                notes.push({
-                    hitTime: timeInMs,
-                    spawnTime: timeInMs - 3000, // 3 second travel time
-                    lane: laneName,
-                    type: 'single',
-                    measureIndex: measureIndex,
-                    beatPosition: beatPosition,
-                    subdivisionIndex: i,
-                    topLane: laneName === 'top',
-                    bottomLane: laneName === 'bottom'
-                });
-                
-                console.log(`Note created: ${laneName} lane, measure ${measureIndex}, subdivision ${i}, time ${timeInMs}ms`);
+            const char = lanePattern[i];
+            if (char === '0') continue;
+
+            // Calculate exact time for this note
+            const beatPosition = (i / subdivision) * this.getBeatsInMeasure(measureIndex);
+            const timeInMs = this.calculateNoteTime(measureIndex, i, subdivision);
+            const note = {
+                hitTime: timeInMs,
+                lane: laneName,
+                type: this.noteTypes[char],
+                duration: 0,
+                measureIndex: measureIndex,
+                beatPosition: beatPosition,
+                subdivisionIndex: i,
+                subdivision: subdivision,
+                topLane: laneName === 'top',
+                bottomLane: laneName === 'bottom'
+            };
+
+            if (this.longNoteTypes[char]) {
+                if (openLongNotes[laneName]) {
+                    this.logger.warn(`Long note in ${laneName} lane, measure ${measureIndex}, subdivision ${i} starts before the previous one ends`);
+                }
+                note.longNote = this.longNoteTypes[char];
+                openLongNotes[laneName] = note;
+                continue;
+            }
+
+            const start = openLongNotes[laneName];
+            if (start && char === start.longNote.end) {
+                delete openLongNotes[laneName];
+                start.type = start.longNote.type;
+                start.duration = timeInMs - start.hitTime;
+                delete start.longNote;
+                notes.push(start);
+                this.logger.log(`${start.type} note created: ${laneName} lane, measure ${start.measureIndex}, ${start.duration}ms long`);
+                continue;
             }
+            if (Object.values(this.longNoteTypes).some(longNote => longNote.end === char)) {
+                this.logger.warn(`Long note end '${char}' without a start in ${laneName} lane, measure ${measureIndex}, subdivision ${i}`);
+                continue;
+            }
+            if (!note.type) {
+                this.logger.warn(`Unknown note '${char}' in ${laneName} lane, measure ${measureIndex}, subdivision ${i}`);
+                continue;
+            }
+
+            notes.push(note);
+            this.logger.log(`Note created: ${laneName} lane, measure ${measureIndex}, subdivision ${i}, time ${timeInMs}ms`);
         }
     }
     
+    // Tempo segments { beat, time, bpm } with time in seconds at the segment's first beat,
+    // not counting stops or the chart offset
+    buildTempoSegments(bpmChanges) {
+        const changes = bpmChanges
+            .map(change => ({ beat: this.getAbsoluteBeat(change.measure, change.subdivision || 0), bpm: change.bpm }))
+            .sort((a, b) => a.beat - b.beat);
+        const segments = [{ beat: 0, time: 0, bpm: this.bpm }];
+
+        changes.forEach(change => {
+            const previous = segments[segments.length - 1];
+            const time = previous.time + (change.beat - previous.beat) * 60 / previous.bpm;
+
+            if (change.beat === previous.beat) {
+                previous.bpm = change.bpm; // e.g. a change at measure 0 replaces the starting tempo
+            } else {
+                segments.push({ beat: change.beat, time: time, bpm: change.bpm });
+            }
+        });
+
+        return segments;
+    }
+
+    // Beats per measure from the first difficulty that sets them, undefined for the default
+    buildMeasureBeats() {
+        const measureBeats = [];
+
+        Object.values(this.chartData.charts || {}).forEach(chart => {
+            chart.measures.forEach((measure, index) => {
+                if (measureBeats[index] === undefined && measure.beatsPerMeasure !== undefined) {
+                    measureBeats[index] = measure.beatsPerMeasure;
+                }
+            });
+        });
+
+        return measureBeats;
+    }
+
+    getBeatsInMeasure(measureIndex) {
+        const beats = this.measureBeats[measureIndex];
+        return beats !== undefined ? beats : this.beatsPerMeasure;
+    }
+
+    // Pattern length of a measure
+    getMeasureSubdivision(measure) {
+        return measure.subdivision || this.subdivision;
+    }
+
+    // Beats from the start of the chart to the first beat of a measure
+    getMeasureStartBeat(measureIndex) {
+        while (this.measureStartBeats.length <= measureIndex) {
+            const previous = this.measureStartBeats.length - 1;
+            this.measureStartBeats.push(this.measureStartBeats[previous] + this.getBeatsInMeasure(previous));
+        }
+        return this.measureStartBeats[measureIndex];
+    }
+
+    // Beats from the start of the chart to a position in a measure, with subdivisionIndex
+    // counted at the measure's own pattern resolution
+    getAbsoluteBeat(measureIndex, subdivisionIndex, subdivision = this.subdivision) {
+        const beatPosition = (subdivisionIndex / subdivision) * this.getBeatsInMeasure(measureIndex);
+        return this.getMeasureStartBeat(measureIndex) + beatPosition;
+    }
+
+    getTempoSegment(beat) {
+        let segment = this.tempoSegments[0];
+        for (const candidate of this.tempoSegments) {
+            if (candidate.beat > beat) break;
+            segment = candidate;
+        }
+        return segment;
+    }
+
+    // BPM in effect at an absolute beat
+    getBpmAt(beat) {
+        return this.getTempoSegment(beat).bpm;
+    }
+
+    // Seconds from the start of the chart to an absolute beat, through every tempo
+    // change and stop before it. A note on the beat of a stop plays before the pause.
+    getTimeAtBeat(beat) {
+        const segment = this.getTempoSegment(beat);
+        let time = segment.time + (beat - segment.beat) * 60 / segment.bpm;
+
+        this.stops.forEach(stop => {
+            if (stop.beat < beat) {
+                time += stop.duration;
+            }
+        });
+
+        return time;
+    }
+
     // Calculate exact time for a note at given position
-    calculateNoteTime(measureIndex, subdivisionIndex) {
-        const beatPosition = (subdivisionIndex / this.subdivision) * this.beatsPerMeasure;
-        const absoluteBeat = (measureIndex * this.beatsPerMeasure) + beatPosition;
-        const timeInSeconds = (absoluteBeat * this.secondsPerBeat) + this.offset;
+    calculateNoteTime(measureIndex, subdivisionIndex, subdivision = this.subdivision) {
+        const absoluteBeat = this.getAbsoluteBeat(measureIndex, subdivisionIndex, subdivision);
+        const timeInSeconds = this.getTimeAtBeat(absoluteBeat) + this.offset;
         return timeInSeconds * 1000; // Return in milliseconds
     }
     
-    // Get measure duration in milliseconds
-    getMeasureDuration() {
-        return (this.beatsPerMeasure * this.secondsPerBeat) * 1000;
+    // Tempo map in song ms: { bpm, offset, changes: [{ time, bpm }], stops: [{ time, duration }] },
+    // offset being the time of beat 0
+    getTempoMap() {
+        const toMs = beat => (this.getTimeAtBeat(beat) + this.offset) * 1000;
+        return {
+            bpm: this.tempoSegments[0].bpm,
+            offset: toMs(0),
+            changes: this.tempoSegments.slice(1).map(segment => ({ time: toMs(segment.beat), bpm: segment.bpm })),
+            stops: this.stops.map(stop => ({ time: toMs(stop.beat), duration: stop.duration * 1000 }))
+        };
+    }
+
+    // Get measure duration in milliseconds, including any tempo changes and stops in it
+    getMeasureDuration(measureIndex = 0) {
+        return this.calculateNoteTime(measureIndex + 1, 0) - this.calculateNoteTime(measureIndex, 0);
     }
     
-    // Get subdivision duration in milliseconds
-    getSubdivisionDuration() {
-        return this.getMeasureDuration() / this.subdivision;
+    // Start time (ms) of every measure, e.g. for picking practice sections by measure
+    getMeasureStartTimes(difficulty = 'easy') {
+        const chart = this.chartData.charts[difficulty];
+        if (!chart) {
+            throw new Error(`Difficulty '${difficulty}' not found in chart data`);
+        }
+
+        return chart.measures.map((measure, measureIndex) => this.calculateNoteTime(measureIndex, 0));
+    }
+    
+    // Get subdivision duration in milliseconds, averaged over the measure
+    getSubdivisionDuration(measureIndex = 0, subdivision = this.subdivision) {
+        return this.getMeasureDuration(measureIndex) / subdivision;
     }
     
     // Validate chart pattern
-    validatePattern(pattern, patternName = 'unknown') {
+    validatePattern(pattern, patternName = 'unknown', subdivision = this.subdivision) {
         if (!pattern) {
             throw new Error(`Pattern '${patternName}' is null or undefined`);
         }
         
-        if (pattern.length !== this.subdivision) {
-            throw new Error(`Pattern '${patternName}' length ${pattern.length} doesn't match subdivision ${this.subdivision}`);
+        if (pattern.length !== subdivision) {
+            throw new Error(`Pattern '${patternName}' length ${pattern.length} doesn't match subdivision ${subdivision}`);
         }
         
-        const validChars = ['0', '1'];
+        const validChars = ['0', ...Object.keys(this.noteSymbols)];
         for (let i = 0; i < pattern.length; i++) {
             if (!validChars.includes(pattern[i])) {
                 throw new Error(`Invalid character '${pattern[i]}' at position ${i} in pattern '${patternName}'`);
@@ -110,18 +336,81 @@ class BMSTimingEngine {
         }
         
         const issues = [];
+
+        (this.chartData.metadata.bpmChanges || []).forEach(change => {
+            if (!(change.bpm > 0)) {
+                issues.push(`BPM change at measure ${change.measure} has invalid BPM ${change.bpm}`);
+            }
+        });
+        (this.chartData.metadata.stops || []).forEach(stop => {
+            if (!(stop.duration >= 0)) {
+                issues.push(`Stop at measure ${stop.measure} has invalid duration ${stop.duration}`);
+            }
+        });
         
+        // Long notes may span measures, so their starts and ends are matched over the whole chart
+        const openLongNotes = {};
         chart.measures.forEach((measure, index) => {
-            try {
-                this.validatePattern(measure.topLane, `measure ${index} top lane`);
-            } catch (e) {
-                issues.push(e.message);
+            this.lanes.map(lane => `${lane}Lane`).forEach(laneKey => {
+                (measure[laneKey] || '').split('').forEach((char, i) => {
+                    const open = openLongNotes[laneKey];
+                    if (this.longNoteTypes[char]) {
+                        if (open) {
+                            issues.push(`Long note at measure ${index}, subdivision ${i} in ${laneKey} starts before the one from measure ${open.measure} ends`);
+                        }
+                        openLongNotes[laneKey] = { measure: index, end: this.longNoteTypes[char].end };
+                    } else if (open && char === open.end) {
+                        delete openLongNotes[laneKey];
+                    } else if (Object.values(this.longNoteTypes).some(longNote => longNote.end === char)) {
+                        issues.push(`Long note end '${char}' at measure ${index}, subdivision ${i} in ${laneKey} has no start`);
+                    }
+                });
+            });
+        });
+        Object.keys(openLongNotes).forEach(laneKey => {
+            issues.push(`Long note from measure ${openLongNotes[laneKey].measure} in ${laneKey} is never closed with '${openLongNotes[laneKey].end}'`);
+        });
+        
+        chart.measures.forEach((measure, index) => {
+            const subdivision = this.getMeasureSubdivision(measure);
+            if (!Number.isInteger(subdivision) || subdivision <= 0) {
+                issues.push(`Measure ${index} has invalid subdivision ${subdivision}`);
             }
-            
-            try {
-                this.validatePattern(measure.bottomLane, `measure ${index} bottom lane`);
-            } catch (e) {
-                issues.push(e.message);
+            if (measure.beatsPerMeasure !== undefined) {
+                if (!(measure.beatsPerMeasure > 0)) {
+                    issues.push(`Measure ${index} has invalid beatsPerMeasure ${measure.beatsPerMeasure}`);
+                } else if (measure.beatsPerMeasure !== this.getBeatsInMeasure(index)) {
+                    issues.push(`Measure ${index} has ${measure.beatsPerMeasure} beats but another difficulty gives it ${this.getBeatsInMeasure(index)}`);
+                }
+            }
+
+            this.lanes.forEach(lane => {
+                try {
+                    this.validatePattern(measure[`${lane}Lane`], `measure ${index} ${lane} lane`, subdivision);
+                } catch (e) {
+                    issues.push(e.message);
+                }
+            });
+
+            if (measure.effects) {
+                if (measure.effects.length !== subdivision) {
+                    issues.push(`Effects in measure ${index} have length ${measure.effects.length}, expected ${subdivision}`);
+                }
+                measure.effects.split('').forEach((char, i) => {
+                    if (char !== '0' && !this.effectTypes[char]) {
+                        issues.push(`Unknown effect '${char}' at measure ${index}, subdivision ${i}`);
+                    }
+                });
+            }
+
+            // A double note is a 'D' in exactly two lanes
+            for (let i = 0; i < subdivision; i++) {
+                const doubles = this.lanes.filter(lane => (measure[`${lane}Lane`] || '')[i] === 'D').length;
+                if (doubles === 1) {
+                    issues.push(`Double note at measure ${index}, subdivision ${i} is only in one lane`);
+                } else if (doubles > 2) {
+                    issues.push(`Double note at measure ${index}, subdivision ${i} is in ${doubles} lanes, it needs exactly two`);
+                }
             }
         });
         
@@ -137,25 +426,31 @@ class BMSTimingEngine {
             bpm: this.bpm,
             subdivision: this.subdivision,
             beatsPerMeasure: this.beatsPerMeasure,
+            measureBeats: this.measureBeats,
             offset: this.offset,
             secondsPerBeat: this.secondsPerBeat,
+            tempoSegments: this.tempoSegments,
+            stops: this.stops,
             measureDuration: this.getMeasureDuration(),
             subdivisionDuration: this.getSubdivisionDuration()
         };
     }
     
-    // Generate pattern visualization for debugging
-    visualizePattern(pattern, patternName = '') {
+    // Generate pattern visualization for debugging. The pattern's length is its resolution;
+    // pass getBeatsInMeasure(measureIndex) for measures with their own time signature.
+    visualizePattern(pattern, patternName = '', beatsPerMeasure = this.beatsPerMeasure) {
         if (!pattern) return '';
         
         let visualization = `${patternName}\n`;
         visualization += '|';
         
         for (let i = 0; i < pattern.length; i++) {
-            visualization += pattern[i] === '1' ? '●' : '-';
+            visualization += this.noteSymbols[pattern[i]] || '-';
             
             // Add measure separators every beat
-            if ((i + 1) % (this.subdivision / this.beatsPerMeasure) === 0 && i < pattern.length - 1) {
+            const beatAfter = Math.floor((i + 1) * beatsPerMeasure / pattern.length);
+            const beatBefore = Math.floor(i * beatsPerMeasure / pattern.length);
+            if (beatAfter > beatBefore && i < pattern.length - 1) {
                 visualization += '|';
             }
         }
@@ -233,4 +528,9 @@ class BMSTimingEngine {
             }
         };
     }
-}
\ No newline at end of file
+}
+
+// Allow requiring under Node for headless simulation
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BMSTimingEngine;
+}
@@ -0,0 +1,166 @@
+class CalibrationManager {
+    constructor(gameStateManager) {
+        this.gameStateManager = gameStateManager;
+        this.bpm = 100;
+        this.beatInterval = 60000 / this.bpm; // ms between metronome beats
+        this.warmupBeats = 4; // Taps on these beats are ignored while the player finds the pulse
+        this.measuredBeats = 16;
+        this.audioContext = null;
+        this.mode = null; // 'audio' or 'visual'
+        this.beatTimes = []; // performance.now() times of every beat
+        this.tapOffsets = [];
+        this.isRunning = false;
+        this.flashLoop = null;
+        this.finishTimeout = null;
+    }
+
+    // Audio mode plays clicks to measure audio latency,
+    // visual mode flashes silently to measure display latency
+    start(mode = 'audio') {
+        this.stop();
+
+        this.mode = mode;
+        this.tapOffsets = [];
+        this.beatTimes = [];
+        this.isRunning = true;
+
+        const totalBeats = this.warmupBeats + this.measuredBeats;
+        const firstBeatTime = performance.now() + 1000;
+
+        for (let i = 0; i < totalBeats; i++) {
+            this.beatTimes.push(firstBeatTime + i * this.beatInterval);
+        }
+
+        if (mode === 'audio') {
+            this.scheduleClicks(firstBeatTime);
+        } else {
+            this.startFlashes();
+        }
+
+        const endTime = this.beatTimes[this.beatTimes.length - 1] + this.beatInterval;
+        this.finishTimeout = setTimeout(() => this.finish(), endTime - performance.now());
+
+        this.gameStateManager.uiManager.updateCalibrationStatus(
+            `Tap along with the ${mode === 'audio' ? 'clicks' : 'flashes'}...`, 0, this.measuredBeats
+        );
+        console.log(`Calibration started in ${mode} mode`);
+    }
+
+    scheduleClicks(firstBeatTime) {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
+        // Map performance.now() times onto the audio clock
+        const perfAnchor = performance.now();
+        const contextAnchor = this.audioContext.currentTime;
+
+        this.beatTimes.forEach((beatTime, index) => {
+            const when = contextAnchor + (beatTime - perfAnchor) / 1000;
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+
+            // Accent the first beat of every bar
+            oscillator.frequency.value = index % 4 === 0 ? 1500 : 1000;
+            gain.gain.setValueAtTime(0.5, when);
+            gain.gain.exponentialRampToValueAtTime(0.001, when + 0.05);
+
+            oscillator.connect(gain);
+            gain.connect(this.audioContext.destination);
+            oscillator.start(when);
+            oscillator.stop(when + 0.05);
+        });
+    }
+
+    startFlashes() {
+        let nextBeat = 0;
+
+        const flash = () => {
+            if (!this.isRunning) return;
+
+            const now = performance.now();
+            while (nextBeat < this.beatTimes.length && this.beatTimes[nextBeat] <= now) {
+                this.gameStateManager.uiManager.flashCalibrationBeat();
+                nextBeat++;
+            }
+
+            this.flashLoop = requestAnimationFrame(flash);
+        };
+
+        this.flashLoop = requestAnimationFrame(flash);
+    }
+
+    // tapTime is a performance.now()-based timestamp (e.g. event.timeStamp)
+    handleTap(tapTime = performance.now()) {
+        if (!this.isRunning) return;
+
+        // Find the nearest beat
+        let nearestIndex = 0;
+        this.beatTimes.forEach((beatTime, index) => {
+            if (Math.abs(tapTime - beatTime) < Math.abs(tapTime - this.beatTimes[nearestIndex])) {
+                nearestIndex = index;
+            }
+        });
+
+        const offset = tapTime - this.beatTimes[nearestIndex];
+
+        // Skip warmup beats and taps too far from any beat to be meant for it
+        if (nearestIndex < this.warmupBeats || Math.abs(offset) > this.beatInterval / 2) {
+            return;
+        }
+
+        this.tapOffsets.push(offset);
+        this.gameStateManager.uiManager.updateCalibrationStatus(
+            `Last tap: ${offset >= 0 ? '+' : ''}${Math.round(offset)}ms`, this.tapOffsets.length, this.measuredBeats
+        );
+    }
+
+    finish() {
+        const mode = this.mode;
+        this.stop();
+
+        if (this.tapOffsets.length < this.measuredBeats / 2) {
+            this.gameStateManager.uiManager.updateCalibrationStatus(
+                'Not enough taps to calibrate, please try again.', this.tapOffsets.length, this.measuredBeats
+            );
+            return null;
+        }
+
+        const averageOffset = Math.round(
+            this.tapOffsets.reduce((sum, offset) => sum + offset, 0) / this.tapOffsets.length
+        );
+        const settingKey = mode === 'audio' ? 'audioOffset' : 'visualOffset';
+
+        this.gameStateManager.settings.set(settingKey, averageOffset);
+        this.gameStateManager.uiManager.updateOffsetDisplay(this.gameStateManager.settings);
+        this.gameStateManager.uiManager.updateCalibrationStatus(
+            `${mode === 'audio' ? 'Audio' : 'Visual'} offset set to ${averageOffset}ms`, this.tapOffsets.length, this.measuredBeats
+        );
+
+        console.log(`Calibration finished: ${settingKey} = ${averageOffset}ms from ${this.tapOffsets.length} taps`);
+        return averageOffset;
+    }
+
+    stop() {
+        this.isRunning = false;
+
+        if (this.flashLoop) {
+            cancelAnimationFrame(this.flashLoop);
+            this.flashLoop = null;
+        }
+
+        if (this.finishTimeout) {
+            clearTimeout(this.finishTimeout);
+            this.finishTimeout = null;
+        }
+
+        // Silence any clicks still scheduled
+        if (this.audioContext && this.mode === 'audio') {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,433 @@
+// Renders lanes, notes, hold bodies, hit zones and particles on a single canvas.
+// The lane elements stay in the DOM for layout and touch input, only their visuals are hidden.
+class CanvasRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.notes = new Set();
+        this.particles = [];
+        this.hitZoneX = null;
+        this.hitZoneLanes = [];
+        this.noteSize = 80;
+
+        this.handleResize = () => this.resize();
+        window.addEventListener('resize', this.handleResize);
+
+        this.canvas.classList.add('active');
+        const gameScreen = document.getElementById('game-screen');
+        if (gameScreen) {
+            gameScreen.classList.add('canvas-mode');
+        }
+
+        this.resize();
+    }
+
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = window.innerWidth * ratio;
+        this.canvas.height = window.innerHeight * ratio;
+        this.canvas.style.width = window.innerWidth + 'px';
+        this.canvas.style.height = window.innerHeight + 'px';
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.noteSize = window.innerWidth <= 768 ? 50 : 80;
+    }
+
+    getLaneRect(lane) {
+        const laneElement = document.getElementById(`${lane}-lane`);
+        return laneElement ? laneElement.getBoundingClientRect() : null;
+    }
+
+    getLaneCenter(lane) {
+        const laneRect = this.getLaneRect(lane);
+        return laneRect ? laneRect.top + (laneRect.height / 2) : null;
+    }
+
+    createNote(lane, position, type = 'normal', duration = 0) {
+        const laneCenter = this.getLaneCenter(lane);
+        if (laneCenter === null) {
+            console.error(`Lane element not found: ${lane}-lane`);
+            return null;
+        }
+
+        const note = {
+            lane: lane,
+            position: position,
+            type: type,
+            duration: duration,
+            x: window.innerWidth + this.noteSize / 2, // Start past the right edge of screen
+            tailX: window.innerWidth + this.noteSize / 2, // End of a hold note's body
+            y: laneCenter,
+            holding: false,
+            progress: 0,
+            judgment: null,
+            opacity: 1,
+            mashHits: 0,
+            flashUntil: 0 // Mash notes light up briefly on every press
+        };
+
+        this.notes.add(note);
+        return note;
+    }
+
+    setNotePosition(note, x, tailX = x) {
+        if (!note) return;
+        note.x = x;
+        note.tailX = Math.max(x, tailX);
+    }
+
+    setNoteOpacity(note, opacity) {
+        if (!note) return;
+        note.opacity = opacity;
+    }
+
+    updateMashCount(note, hits) {
+        if (!note) return;
+        note.mashHits = hits;
+        note.flashUntil = performance.now() + 60;
+    }
+
+    removeNote(note) {
+        this.notes.delete(note);
+    }
+
+    startHoldEffect(note) {
+        if (!note) return;
+        note.holding = true;
+    }
+
+    updateHoldProgress(note, progress) {
+        if (!note) return;
+        note.progress = Math.min(1, progress);
+    }
+
+    completeHoldEffect(note, judgment) {
+        if (!note) return;
+
+        note.holding = false;
+        note.judgment = judgment;
+        note.tailX = note.x; // The body has been played, only the head is left
+
+        if (judgment === 'perfect') {
+            this.spawnParticles(note.x, note.y, { count: 12, color: '#00ff00', size: 6, distance: 120, duration: 800 });
+        }
+
+        // Remove after animation
+        setTimeout(() => {
+            this.removeNote(note);
+        }, 500);
+    }
+
+    spawnParticles(centerX, centerY, { count = 8, color = '#ffd700', size = 8, distance = 100, duration = 600 } = {}) {
+        const start = performance.now();
+
+        for (let i = 0; i < count; i++) {
+            this.particles.push({
+                x: centerX,
+                y: centerY,
+                angle: (i / count) * Math.PI * 2,
+                color: color,
+                size: size,
+                distance: distance,
+                duration: duration,
+                start: start
+            });
+        }
+    }
+
+    // Lanes moved on screen (lane swap): hit zones follow on their own, notes keep their y
+    refreshLaneLayout() {
+        this.notes.forEach(note => {
+            const laneCenter = this.getLaneCenter(note.lane);
+            if (laneCenter !== null) {
+                note.y = laneCenter;
+            }
+        });
+    }
+
+    showHitZones(hitZoneX, lanes) {
+        this.hitZoneX = hitZoneX;
+        this.hitZoneLanes = lanes;
+    }
+
+    clearHitZones() {
+        this.hitZoneX = null;
+        this.hitZoneLanes = [];
+    }
+
+    render() {
+        const ctx = this.context;
+        ctx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+
+        this.drawLanes();
+        this.drawHitZones();
+        this.notes.forEach(note => this.drawNote(note));
+        this.drawParticles();
+    }
+
+    drawLanes() {
+        const ctx = this.context;
+
+        this.hitZoneLanes.forEach(lane => {
+            const rect = this.getLaneRect(lane);
+            if (!rect) return;
+
+            const background = ctx.createLinearGradient(rect.left, 0, rect.right, 0);
+            background.addColorStop(0, 'rgba(255, 255, 255, 0.2)');
+            background.addColorStop(0.15, 'rgba(255, 255, 255, 0.1)');
+            background.addColorStop(0.15, 'rgba(0, 100, 200, 0.1)');
+            background.addColorStop(1, 'rgba(0, 50, 100, 0.05)');
+
+            this.traceRoundRect(rect.left, rect.top, rect.width, rect.height, 15);
+            ctx.fillStyle = background;
+            ctx.fill();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.stroke();
+
+            // Hit zone band on the left 15% of the lane
+            const zoneWidth = rect.width * 0.15;
+            const zone = ctx.createLinearGradient(rect.left, 0, rect.left + zoneWidth, 0);
+            zone.addColorStop(0, 'rgba(255, 215, 0, 0.4)');
+            zone.addColorStop(1, 'rgba(255, 215, 0, 0.1)');
+            ctx.fillStyle = zone;
+            ctx.fillRect(rect.left, rect.top, zoneWidth, rect.height);
+            ctx.fillStyle = 'rgba(255, 215, 0, 0.6)';
+            ctx.fillRect(rect.left + zoneWidth - 3, rect.top, 3, rect.height);
+        });
+    }
+
+    drawHitZones() {
+        if (this.hitZoneX === null) return;
+
+        const ctx = this.context;
+        const radius = this.noteSize / 2;
+
+        this.hitZoneLanes.forEach(lane => {
+            const laneCenter = this.getLaneCenter(lane);
+            if (laneCenter === null) return;
+
+            ctx.save();
+            ctx.shadowColor = 'rgba(255, 20, 147, 0.8)';
+            ctx.shadowBlur = 20;
+            ctx.beginPath();
+            ctx.arc(this.hitZoneX, laneCenter, radius, 0, Math.PI * 2);
+            ctx.fillStyle = 'rgba(255, 20, 147, 0.6)';
+            ctx.fill();
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = 'rgba(255, 20, 147, 1)';
+            ctx.stroke();
+            ctx.restore();
+
+            this.drawLabel('HIT', this.hitZoneX, laneCenter, '1.2rem');
+        });
+    }
+
+    drawNote(note) {
+        if (note.opacity <= 0) return;
+
+        const ctx = this.context;
+        ctx.save();
+        ctx.globalAlpha = note.opacity; // Ghost notes fade out on the way in
+
+        if (note.type === 'hold') {
+            this.drawHoldNote(note);
+        } else if (note.type === 'mash') {
+            this.drawMashNote(note);
+        } else if (note.type === 'double') {
+            this.drawTapNote(note, ['#7fffd4', '#20b2aa', 'rgba(127, 255, 212, 1)'], '●●', '1.2rem');
+        } else if (note.type === 'hammer') {
+            this.drawHammerNote(note);
+        } else {
+            this.drawTapNote(note);
+        }
+
+        ctx.restore();
+    }
+
+    // colors: [center, edge, glow]
+    drawTapNote(note, colors = ['#ff6b9d', '#c44569', 'rgba(255, 107, 157, 1)'], label = '●', fontSize = '1.5rem', scale = 1) {
+        const ctx = this.context;
+        const [center, edge, glow] = colors;
+        const radius = (this.noteSize / 2 - 2) * scale;
+
+        const fill = ctx.createRadialGradient(note.x, note.y, 0, note.x, note.y, radius);
+        fill.addColorStop(0, center);
+        fill.addColorStop(1, edge);
+
+        ctx.save();
+        ctx.shadowColor = glow;
+        ctx.shadowBlur = 30;
+        ctx.beginPath();
+        ctx.arc(note.x, note.y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = fill;
+        ctx.fill();
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 1)';
+        ctx.stroke();
+        ctx.restore();
+
+        this.drawLabel(label, note.x, note.y, fontSize);
+    }
+
+    // A big drum with the number of presses it has taken so far
+    drawMashNote(note) {
+        const flash = performance.now() < note.flashUntil;
+        const colors = flash ? ['#ffffff', '#da70d6', 'rgba(255, 255, 255, 1)'] : ['#da70d6', '#8a2be2', 'rgba(218, 112, 214, 1)'];
+
+        this.drawTapNote(note, colors, 'MASH', '1rem', 1.3);
+        if (note.mashHits > 0) {
+            this.drawLabel(String(note.mashHits), note.x, note.y + this.noteSize * 0.35, '1.2rem');
+        }
+    }
+
+    drawHammerNote(note) {
+        const ctx = this.context;
+        const size = this.noteSize;
+        const left = note.x - size / 2;
+        const top = note.y - size / 2;
+
+        const fill = ctx.createRadialGradient(note.x, note.y, 0, note.x, note.y, size / 2);
+        fill.addColorStop(0, '#555555');
+        fill.addColorStop(1, '#1a1a1a');
+
+        ctx.save();
+        ctx.shadowColor = 'rgba(255, 69, 0, 1)';
+        ctx.shadowBlur = 30;
+        this.traceRoundRect(left, top, size, size, 15);
+        ctx.fillStyle = fill;
+        ctx.fill();
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = 'rgba(255, 69, 0, 1)';
+        ctx.stroke();
+        ctx.restore();
+
+        this.drawLabel('✖', note.x, note.y, '1.8rem');
+    }
+
+    drawHoldNote(note) {
+        const ctx = this.context;
+        const colors = {
+            perfect: ['#00ff00', '#32cd32', 'rgba(0, 255, 0, 1)'],
+            great: ['#00bfff', '#87ceeb', 'rgba(0, 191, 255, 0.8)'],
+            good: ['#ffa500', '#ffd700', 'rgba(255, 165, 0, 0.8)'],
+            miss: ['#ff0000', '#ff6b6b', 'rgba(255, 0, 0, 0.8)']
+        };
+        const [edge, middle, glow] = colors[note.judgment] || ['#ffd700', '#ffb347', 'rgba(255, 215, 0, 0.8)'];
+
+        // Pulse while held, like the DOM holdPulse animation
+        const scale = note.holding ? 1.15 + Math.sin(performance.now() / 80) * 0.05 : 1;
+        const size = this.noteSize * scale;
+        const left = note.x - size / 2;
+        const top = note.y - size / 2;
+
+        const fill = ctx.createLinearGradient(left, 0, left + size, 0);
+        fill.addColorStop(0, edge);
+        fill.addColorStop(0.5, middle);
+        fill.addColorStop(1, edge);
+
+        // Body from the head to the tail, drawn first so the head sits on top
+        if (note.tailX > note.x) {
+            const bodyHeight = this.noteSize / 2;
+            const tailSize = this.noteSize * 0.6;
+
+            ctx.save();
+            ctx.fillStyle = 'rgba(255, 179, 71, 0.6)';
+            ctx.fillRect(note.x, note.y - bodyHeight / 2, note.tailX - note.x, bodyHeight);
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = 'rgba(255, 215, 0, 1)';
+            ctx.strokeRect(note.x, note.y - bodyHeight / 2, note.tailX - note.x, bodyHeight);
+
+            ctx.shadowColor = glow;
+            ctx.shadowBlur = 20;
+            this.traceRoundRect(note.tailX - tailSize / 2, note.y - tailSize / 2, tailSize, tailSize, 10);
+            ctx.fillStyle = middle;
+            ctx.fill();
+            ctx.lineWidth = 4;
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        ctx.save();
+        ctx.shadowColor = glow;
+        ctx.shadowBlur = 30;
+        this.traceRoundRect(left, top, size, size, 15);
+        ctx.fillStyle = fill;
+        ctx.fill();
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = 'rgba(255, 215, 0, 1)';
+        ctx.stroke();
+        ctx.restore();
+
+        // Hold progress bar along the bottom edge
+        if (note.progress > 0) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.fillRect(left + 4, top + size - 10, (size - 8) * note.progress, 6);
+        }
+
+        this.drawLabel('HOLD', note.x, note.y, '1.2rem');
+    }
+
+    drawParticles() {
+        const ctx = this.context;
+        const now = performance.now();
+
+        this.particles = this.particles.filter(particle => {
+            const progress = (now - particle.start) / particle.duration;
+            if (progress >= 1) return false;
+
+            const eased = 1 - Math.pow(1 - progress, 2); // ease-out
+            const x = particle.x + Math.cos(particle.angle) * particle.distance * eased;
+            const y = particle.y + Math.sin(particle.angle) * particle.distance * eased;
+            const radius = (particle.size / 2) * (1 - eased);
+
+            ctx.save();
+            ctx.globalAlpha = 1 - eased;
+            ctx.shadowColor = particle.color;
+            ctx.shadowBlur = particle.size + 2;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fillStyle = particle.color;
+            ctx.fill();
+            ctx.restore();
+
+            return true;
+        });
+    }
+
+    drawLabel(text, x, y, fontSize) {
+        const ctx = this.context;
+        ctx.font = `bold ${fontSize} Arial, sans-serif`;
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x, y);
+    }
+
+    // Path helper, CanvasRenderingContext2D.roundRect is not available everywhere
+    traceRoundRect(x, y, width, height, radius) {
+        const ctx = this.context;
+        const r = Math.min(radius, width / 2, height / 2);
+
+        ctx.beginPath();
+        ctx.moveTo(x + r, y);
+        ctx.arcTo(x + width, y, x + width, y + height, r);
+        ctx.arcTo(x + width, y + height, x, y + height, r);
+        ctx.arcTo(x, y + height, x, y, r);
+        ctx.arcTo(x, y, x + width, y, r);
+        ctx.closePath();
+    }
+
+    destroy() {
+        window.removeEventListener('resize', this.handleResize);
+        this.notes.clear();
+        this.particles = [];
+        this.clearHitZones();
+        this.context.clearRect(0, 0, window.innerWidth, window.innerHeight);
+
+        this.canvas.classList.remove('active');
+        const gameScreen = document.getElementById('game-screen');
+        if (gameScreen) {
+            gameScreen.classList.remove('canvas-mode');
+        }
+    }
+}
\ No newline at end of file
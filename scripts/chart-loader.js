@@ -1,139 +1,361 @@
 class ChartLoader {
-    constructor() {
+    constructor(logger = console) {
+        this.logger = logger;
+        // Charts without their own lanes have these two, top to bottom on screen,
+        // and recorded keys go to them through keyMapping
+        this.defaultLanes = ['top', 'bottom'];
         this.keyMapping = {
             'space': 'bottom',
             'a': 'top',
             'w': 'top',
             's': 'bottom',
             'e': 'top',
-            'r': 'top'
+            'r': 'top',
+            // Keys the chart recorder writes, the same as the game's lane keys
+            'd': 'top',
+            'f': 'top',
+            'j': 'bottom',
+            'k': 'bottom'
         };
+        // Optional note_type on note_events: quickPress can be 'ghost', 'hammer' or
+        // 'double' (a note in its lane and the one its partner_key maps to, the next lane
+        // without one), a noteStart/noteEnd pair can be 'mash'
+        this.tapNoteTypes = ['normal', 'ghost', 'hammer', 'double'];
+        // Lint limits: notes in one lane closer than minLaneGap (ms), or more than
+        // maxNotesPerSecond across all lanes, can't realistically be played
+        this.lintRules = { minLaneGap: 50, maxNotesPerSecond: 20 };
+        // Every chart format is read into one model, see chart-model.js
+        const Model = typeof ChartModel !== 'undefined' ? ChartModel : require('./chart-model.js');
+        this.chartModel = new Model(this);
         this.currentChart = null;
         this.audio = null;
+        this.playbackRate = 1;
     }
     
-    async loadChart(songPath) {
+    // difficulty picks one of a BMS chart's charts, the first one if not given
+    async loadChart(songPath, difficulty = null) {
         try {
-            console.log('Loading chart from:', songPath);
+            this.logger.log('Loading chart from:', songPath);
             
-            // Load JSON chart
-            const response = await fetch(songPath);
-            if (!response.ok) {
-                throw new Error(`Failed to load chart: ${response.statusText}`);
-            }
-            
-            const chartData = await response.json();
-            console.log('Chart loaded:', chartData);
+            const chartData = await this.fetchChartData(songPath);
+            this.logger.log('Chart loaded:', chartData);
             
             // Process the chart data
-            this.currentChart = this.processChart(chartData);
+            this.currentChart = this.parseChart(chartData, difficulty);
             
-            // Load audio file
-            if (chartData.audio_file) {
+            // Load audio file; without it the chart still plays on the game clock
+            this.stopAudio();
+            this.audio = null;
+            const audioFile = this.currentChart.metadata.audio;
+            if (audioFile) {
                 const basePath = songPath.substring(0, songPath.lastIndexOf('/') + 1);
-                const audioPath = basePath + chartData.audio_file;
-                await this.loadAudio(audioPath);
+                const audioPath = basePath + audioFile;
+                try {
+                    await this.loadAudio(audioPath);
+                } catch (error) {
+                    this.logger.warn('Playing without audio:', error);
+                    this.audio = null;
+                }
             }
             
             return this.currentChart;
         } catch (error) {
-            console.error('Error loading chart:', error);
+            this.logger.error('Error loading chart:', error);
             throw error;
         }
     }
+
+    async fetchChartData(songPath) {
+        const response = await fetch(songPath);
+        if (!response.ok) {
+            throw new Error(`Failed to load chart: ${response.statusText}`);
+        }
+        return this.decodeChartData(songPath, await response.arrayBuffer());
+    }
+
+    // Chart data from the bytes of a chart file (an ArrayBuffer, or a Buffer under Node),
+    // ready for ChartModel to read; the file extension picks the format
+    decodeChartData(path, bytes) {
+        // .bms/.bme/.bml files are converted to a grid chart on the way in
+        if (/\.(bms|bme|bml)$/i.test(path)) {
+            const Parser = typeof BMSParser !== 'undefined' ? BMSParser : require('./bms-parser.js');
+            const parser = new Parser({ logger: this.logger });
+            return parser.parse(parser.decode(bytes)).chart;
+        }
+
+        const text = new TextDecoder().decode(bytes);
+
+        // StepMania simfiles convert to a grid chart with one entry per difficulty
+        if (/\.(sm|ssc)$/i.test(path)) {
+            const Importer = typeof StepManiaImporter !== 'undefined' ? StepManiaImporter : require('./stepmania-importer.js');
+            return new Importer({ logger: this.logger }).convert(text).chart;
+        }
+
+        // .osu beatmaps are kept as their parsed sections until a chart is processed
+        if (/\.osu$/i.test(path)) {
+            return this.createOsuImporter().parse(text);
+        }
+
+        return JSON.parse(text);
+    }
+
+    // Title, artist and difficulties for the song select, without loading the audio
+    async loadChartInfo(songPath) {
+        return this.getChartInfo(await this.fetchChartData(songPath));
+    }
+
+    getChartInfo(chartData) {
+        const model = this.chartModel.read(chartData);
+        return {
+            title: model.metadata.title,
+            artist: model.metadata.artist,
+            difficulties: Object.entries(model.difficulties).map(([name, chart]) => ({ name, level: chart.level }))
+        };
+    }
+
+    // Reads chart data of any format into the chart model and returns the difficulty to play
+    // (the first one if not given), carrying its lint report as chart.lint
+    parseChart(chartData, difficulty = null) {
+        const model = this.chartModel.read(chartData);
+        const chart = this.chartModel.getPlayChart(model, difficulty);
+        chart.lint = this.lintChart(chart, model.difficulties[chart.metadata.difficulty].issues);
+        return chart;
+    }
+
+    // Loads a song's chart only to lint it, so authors can check it before playing
+    async lintSong(songPath, difficulty = null) {
+        return this.parseChart(await this.fetchChartData(songPath), difficulty).lint;
+    }
+
+    createOsuImporter() {
+        const Importer = typeof OsuImporter !== 'undefined' ? OsuImporter : require('./osu-importer.js');
+        return new Importer({ logger: this.logger });
+    }
+
+    // Converts one difficulty of a BMS grid chart through BMSTimingEngine; the difficulties
+    // of a chart can share one timingEngine
+    processBMSChart(chartData, difficulty = null, timingEngine = null) {
+        const name = difficulty || Object.keys(chartData.charts)[0];
+        const chart = chartData.charts[name];
+        if (!chart) {
+            throw new Error(`Difficulty '${name}' not found in chart data`);
+        }
+
+        if (!timingEngine) {
+            // Engine classes are globals in the browser and required under Node
+            const TimingEngine = typeof BMSTimingEngine !== 'undefined' ? BMSTimingEngine : require('./bms-timing-engine.js');
+            timingEngine = new TimingEngine(chartData, this.logger);
+        }
+        const { notes, events } = timingEngine.convertToGameFormat(name);
+        const measureTimes = timingEngine.getMeasureStartTimes(name);
+        // Play to the end of the last measure, and at least a second past the last note
+        const lastNoteEnd = notes.reduce((end, note) => Math.max(end, note.hitTime + note.duration), 0);
+        const songEnd = Math.max(timingEngine.calculateNoteTime(chart.measures.length, 0), lastNoteEnd + 1000);
+
+        const processedChart = {
+            metadata: {
+                title: chartData.metadata.title || 'Unknown Song',
+                artist: chartData.metadata.artist || null,
+                lanes: timingEngine.lanes,
+                difficulty: name,
+                level: chart.level,
+                bpm: chartData.metadata.bpm,
+                duration: chartData.metadata.duration ? chartData.metadata.duration * 1000 : songEnd,
+                measureTimes: measureTimes
+            },
+            notes: notes.map((note, index) => ({
+                id: `note_${index}`,
+                type: note.type === 'single' ? 'normal' : note.type,
+                lane: note.lane,
+                timestamp: note.hitTime,
+                duration: note.duration
+            })),
+            events: events
+        };
+
+        this.logger.log(`Processed ${processedChart.notes.length} notes from the ${name} chart`);
+        return processedChart;
+    }
     
-    processChart(chartData) {
+    // Pairing problems are added to issues as lint entries, see lintChart
+    processChart(chartData, issues = []) {
+        // A chart can declare its lanes (top to bottom) and the lane of each recorded key:
+        //   "lanes": ["left", "middle", "right"], "key_mapping": { "d": "left", "space": "middle", "k": "right" }
+        const lanes = chartData.lanes || this.defaultLanes;
+        const keyMapping = chartData.key_mapping || this.keyMapping;
+        const unmappedKeys = new Set();
+
         const processedChart = {
             metadata: {
                 title: chartData.audio_file?.replace('.mp3', '') || 'Unknown Song',
                 duration: chartData.duration * 1000, // Convert to milliseconds
-                recordedAt: chartData.recorded_at
+                recordedAt: chartData.recorded_at,
+                lanes: lanes
             },
             notes: []
         };
 
-        // Group note events by start/end pairs
-        const noteMap = new Map();
+        // Open hold (or mash) starts per key; an end closes the most recent one
+        const openStarts = {};
         const processedNotes = [];
 
         chartData.note_events.forEach((event, index) => {
-            const lane = this.mapKeyToLane(event.key);
             const timestamp = event.timestamp * 1000; // Convert to milliseconds
+            let lane = this.mapKeyToLane(event.key, keyMapping);
+            if (!lanes.includes(lane)) {
+                if (!unmappedKeys.has(event.key)) {
+                    unmappedKeys.add(event.key);
+                    issues.push({ severity: 'warning', rule: 'unmapped-key', time: timestamp, lane: lanes[0],
+                        message: `key '${event.key}' has no lane in this chart, its notes go to ${lanes[0]}` });
+                }
+                lane = lanes[0];
+            }
 
             if (event.type === 'quickPress') {
-                // Single tap note
-                processedNotes.push({
-                    id: `note_${index}`,
-                    type: 'normal',
-                    lane: lane,
-                    timestamp: timestamp,
-                    spawnTime: Math.max(0, timestamp - 3000), // 3 second travel time
-                    duration: 0
+                let type = event.note_type || 'normal';
+                if (!this.tapNoteTypes.includes(type)) {
+                    this.logger.warn(`Unknown note_type '${type}', using a normal note:`, event);
+                    type = 'normal';
+                }
+
+                // Single tap note; double notes also take their partner_key's lane, or the lane
+                // below (above for the last lane)
+                const laneIndex = lanes.indexOf(lane);
+                const partnerLane = event.partner_key !== undefined
+                    ? this.mapKeyToLane(event.partner_key, keyMapping)
+                    : lanes[laneIndex + 1] || lanes[laneIndex - 1];
+                if (type === 'double' && (!lanes.includes(partnerLane) || partnerLane === lane)) {
+                    type = 'normal'; // A one-lane chart has no room for a double
+                }
+                const noteLanes = type === 'double' ? [lane, partnerLane].sort((a, b) => lanes.indexOf(a) - lanes.indexOf(b)) : [lane];
+                noteLanes.forEach(noteLane => {
+                    processedNotes.push({
+                        id: type === 'double' ? `note_${index}_${noteLane}` : `note_${index}`,
+                        type: type,
+                        lane: noteLane,
+                        timestamp: timestamp,
+                        duration: 0
+                    });
                 });
             } else if (event.type === 'noteStart') {
-                // Start of hold note - store for pairing
-                noteMap.set(`${event.key}_${timestamp}`, {
+                // Start of hold (or mash) note - store for pairing
+                (openStarts[event.key] = openStarts[event.key] || []).push({
                     id: `note_${index}`,
-                    type: 'hold',
+                    type: event.note_type === 'mash' ? 'mash' : 'hold',
                     lane: lane,
                     timestamp: timestamp,
-                    spawnTime: Math.max(0, timestamp - 3000), // 3 second travel time
                     key: event.key
                 });
             } else if (event.type === 'noteEnd') {
-                // End of hold note - find matching start
-                const startKey = `${event.key}_${(timestamp - event.duration * 1000)}`;
-                const startNote = noteMap.get(startKey);
-                
+                const startNote = (openStarts[event.key] || []).pop();
+
                 if (startNote) {
-                    startNote.duration = event.duration * 1000; // Convert to milliseconds
+                    startNote.duration = timestamp - startNote.timestamp;
                     processedNotes.push(startNote);
-                    noteMap.delete(startKey);
                 } else {
-                    console.warn('Could not find matching noteStart for noteEnd:', event);
+                    issues.push({ severity: 'error', rule: 'unmatched-end', time: timestamp, lane: lane,
+                        message: `noteEnd on '${event.key}' has no noteStart before it` });
                 }
             }
         });
 
-        // Sort notes by spawn time
-        processedChart.notes = processedNotes.sort((a, b) => a.spawnTime - b.spawnTime);
+        Object.values(openStarts).forEach(starts => starts.forEach(startNote => {
+            issues.push({ severity: 'error', rule: 'dangling-start', time: startNote.timestamp, lane: startNote.lane,
+                message: `noteStart on '${startNote.key}' never ends, the note was left out` });
+        }));
+
+        // Sort notes by hit time; spawn times depend on the player's scroll speed
+        processedChart.notes = processedNotes.sort((a, b) => a.timestamp - b.timestamp);
         
-        console.log(`Processed ${processedChart.notes.length} notes`);
+        this.logger.log(`Processed ${processedChart.notes.length} notes`);
         return processedChart;
     }
     
-    mapKeyToLane(key) {
-        // Map various keys to top/bottom lanes
-        // Can be expanded for more lanes in the future
-        switch(key.toLowerCase()) {
-            case 'space':
-                return 'bottom';
-            case 'a':
-            case 'w':
-            case 'e':
-            case 'r':
-                return 'top';
-            case 's':
-                return 'bottom';
-            default:
-                return 'top'; // Default fallback
+    // Returns { errors, warnings }, each entry { severity, rule, time, lane, message } with time
+    // in ms. issues are problems already found while processing (unmatched holds).
+    lintChart(chart, issues = []) {
+        const entries = [...issues];
+        const add = (severity, rule, note, message) => entries.push({ severity, rule, time: note.timestamp, lane: note.lane, message });
+        const notes = chart.notes;
+        const duration = chart.metadata && chart.metadata.duration;
+        const lanes = (chart.metadata && chart.metadata.lanes) || this.defaultLanes;
+
+        lanes.forEach(lane => {
+            let previous = null;
+            let longNote = null; // Hold or mash still going in this lane
+
+            notes.filter(note => note.lane === lane).forEach(note => {
+                if (longNote && note.timestamp <= longNote.timestamp + longNote.duration) {
+                    add('warning', 'overlap', note, `starts inside the ${longNote.type} at ${this.formatLintTime(longNote.timestamp)}`);
+                } else if (previous && note.timestamp - previous.timestamp < 1) {
+                    add('warning', 'overlap', note, 'is on top of another note');
+                } else if (previous && note.timestamp - previous.timestamp < this.lintRules.minLaneGap) {
+                    add('warning', 'density', note, `only ${Math.round(note.timestamp - previous.timestamp)}ms after the previous note in the lane`);
+                }
+
+                if (note.duration > 0 && (!longNote || note.timestamp + note.duration > longNote.timestamp + longNote.duration)) {
+                    longNote = note;
+                }
+                previous = note;
+            });
+        });
+
+        // Notes per second over a sliding window, reported once per dense stretch
+        let windowStart = 0;
+        let reportedUntil = -Infinity;
+        notes.forEach((note, index) => {
+            while (note.timestamp - notes[windowStart].timestamp >= 1000) windowStart++;
+            const count = index - windowStart + 1;
+            if (count > this.lintRules.maxNotesPerSecond && notes[windowStart].timestamp > reportedUntil) {
+                add('warning', 'density', notes[windowStart], `${count} notes within a second`);
+                reportedUntil = note.timestamp;
+            }
+        });
+
+        if (duration) {
+            notes.forEach(note => {
+                if (note.timestamp + note.duration > duration) {
+                    add('error', 'past-duration', note, `ends after the song (${this.formatLintTime(duration)})`);
+                }
+            });
         }
+
+        entries.sort((a, b) => a.time - b.time);
+        const lint = {
+            errors: entries.filter(entry => entry.severity === 'error'),
+            warnings: entries.filter(entry => entry.severity === 'warning')
+        };
+        if (entries.length > 0) {
+            this.logger.warn(`Chart lint: ${lint.errors.length} errors, ${lint.warnings.length} warnings`);
+        }
+        return lint;
+    }
+
+    formatLintTime(time) {
+        return `${(time / 1000).toFixed(2)}s`;
+    }
+
+    // Lane of a recorded key, null when the mapping doesn't have it
+    mapKeyToLane(key, keyMapping = this.keyMapping) {
+        return keyMapping[key.toLowerCase()] || null;
     }
     
     async loadAudio(audioPath) {
         try {
-            console.log('Loading audio from:', audioPath);
+            this.logger.log('Loading audio from:', audioPath);
             
             this.audio = new Audio(audioPath);
+            this.audio.playbackRate = this.playbackRate;
+            this.audio.preservesPitch = true;
             
             return new Promise((resolve, reject) => {
                 this.audio.addEventListener('canplaythrough', () => {
-                    console.log('Audio loaded successfully');
+                    this.logger.log('Audio loaded successfully');
                     resolve(this.audio);
                 });
                 
                 this.audio.addEventListener('error', (e) => {
-                    console.error('Audio loading error:', e);
+                    this.logger.error('Audio loading error:', e);
                     reject(new Error('Failed to load audio'));
                 });
                 
@@ -141,14 +363,29 @@ class ChartLoader {
                 this.audio.load();
             });
         } catch (error) {
-            console.error('Error loading audio:', error);
+            this.logger.error('Error loading audio:', error);
             throw error;
         }
     }
     
-    playAudio() {
+    // Starts the audio from fromMs (song ms), the beginning by default
+    playAudio(fromMs = 0) {
+        if (this.audio) {
+            this.audio.currentTime = fromMs / 1000;
+            return this.audio.play();
+        }
+        return Promise.reject(new Error('No audio loaded'));
+    }
+
+    pauseAudio() {
+        if (this.audio) {
+            this.audio.pause();
+        }
+    }
+
+    // Continue from wherever the audio was paused
+    resumeAudio() {
         if (this.audio) {
-            this.audio.currentTime = 0;
             return this.audio.play();
         }
         return Promise.reject(new Error('No audio loaded'));
@@ -161,6 +398,20 @@ class ChartLoader {
         }
     }
 
+    // Jump the audio to a song position (ms) without starting it
+    seekAudio(ms) {
+        if (this.audio) {
+            this.audio.currentTime = ms / 1000;
+        }
+    }
+
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+        if (this.audio) {
+            this.audio.playbackRate = rate;
+        }
+    }
+
     getAudioTime() {
         return this.audio ? this.audio.currentTime * 1000 : 0; // Return in milliseconds
     }
@@ -174,4 +425,9 @@ class ChartLoader {
     }
     
     
-}
\ No newline at end of file
+}
+
+// Allow requiring under Node for headless simulation
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartLoader;
+}
@@ -0,0 +1,366 @@
+// The one chart model every chart format is read into, and the game plays from:
+//
+//   {
+//     version: 1,
+//     format: 'note_events',                       // Format it was read from
+//     metadata: { title, artist, audio, duration, lanes },
+//     tempo: { bpm, offset, changes: [{ time, bpm }], stops: [{ time, duration }], measureTimes },
+//     difficulties: { <name>: { level, notes: [{ id, type, lane, timestamp, duration }], events, issues } }
+//   }
+//
+// All times are song ms, offset is the time of beat 0. bpm and measureTimes are null for
+// formats without a grid, duration for formats that don't know it. events are chart effects
+// ({ time, type, ... }) and issues the lint entries found while reading (e.g. holds that
+// never end).
+//
+// Formats (this.formats) read into the model and, where nothing is lost, write it back:
+// - model: the model itself, e.g. saved with `node scripts/chart-model.js chart.bms > chart.json`.
+// - note_events: recorded charts ("feel it.json"), also written.
+// - grid: BMS grid charts (metadata + charts.<difficulty>.measures), .bms and StepMania after import.
+//   ChartQuantizer writes grids from any format.
+// - osu: .osu beatmaps parsed by OsuImporter.
+// - legacy: info + chart.<difficulty> lists of { time, topLane, bottomLane } (assets/charts/demo-song.json).
+// - generated: arrays of { hitTime, topLane, bottomLane } from BeatChartGenerator and GameEngine.createDemoChart.
+// - processed: a single played chart ({ metadata, notes }), e.g. what ChartLoader.parseChart returns.
+class ChartModel {
+    // chartLoader does the note_events and grid conversions
+    constructor(chartLoader) {
+        this.chartLoader = chartLoader;
+        this.logger = chartLoader.logger;
+        this.version = 1;
+        this.defaultDifficulty = 'normal'; // Name of the only difficulty of formats without names
+
+        // Checked in order, the first format whose detect() matches reads the chart
+        this.formats = {
+            model: {
+                detect: data => data.version !== undefined && !!data.difficulties,
+                read: data => this.validate(data)
+            },
+            note_events: {
+                detect: data => Array.isArray(data.note_events),
+                read: data => this.readNoteEvents(data),
+                write: (model, difficulty) => this.writeNoteEvents(model, difficulty)
+            },
+            grid: {
+                detect: data => !!(data.metadata && data.charts &&
+                    Object.values(data.charts).some(chart => Array.isArray(chart.measures))),
+                read: data => this.readGrid(data)
+            },
+            osu: {
+                detect: data => data.format === 'osu',
+                read: data => this.readOsu(data)
+            },
+            legacy: {
+                detect: data => !!(data.info && data.chart),
+                read: data => this.readLegacy(data)
+            },
+            generated: {
+                detect: data => Array.isArray(data),
+                read: data => this.readGenerated(data)
+            },
+            processed: {
+                detect: data => Array.isArray(data.notes),
+                read: data => this.readProcessed(data)
+            }
+        };
+    }
+
+    // Name of the format of raw chart data, null if no format reads it
+    detectFormat(chartData) {
+        if (!chartData || typeof chartData !== 'object') return null;
+        return Object.keys(this.formats).find(format => this.formats[format].detect(chartData)) || null;
+    }
+
+    read(chartData) {
+        const format = this.detectFormat(chartData);
+        if (!format) {
+            throw new Error('Unknown chart format');
+        }
+
+        const model = this.formats[format].read(chartData);
+        this.logger.log(`Read ${format} chart with difficulties: ${Object.keys(model.difficulties).join(', ')}`);
+        return model;
+    }
+
+    // difficulty is needed for formats holding a single chart, the first one by default
+    write(model, format, difficulty = null) {
+        if (format === 'model') return model;
+
+        const writer = this.formats[format] && this.formats[format].write;
+        if (!writer) {
+            throw new Error(`Charts can't be written as ${format}`);
+        }
+        return writer(model, difficulty);
+    }
+
+    createModel(format, metadata, tempo, difficulties) {
+        return {
+            version: this.version,
+            format: format,
+            metadata: {
+                title: 'Unknown Song',
+                artist: null,
+                audio: null,
+                duration: null,
+                lanes: this.chartLoader.defaultLanes,
+                ...metadata
+            },
+            tempo: { bpm: null, offset: 0, changes: [], stops: [], measureTimes: null, ...tempo },
+            difficulties: difficulties
+        };
+    }
+
+    createDifficulty(notes, options = {}) {
+        return { level: options.level, notes: notes, events: options.events || [], issues: options.issues || [] };
+    }
+
+    validate(model) {
+        if (model.version !== this.version) {
+            throw new Error(`Unsupported chart model version ${model.version}, expected ${this.version}`);
+        }
+        if (Object.keys(model.difficulties).length === 0) {
+            throw new Error('Chart model has no difficulties');
+        }
+        return model;
+    }
+
+    // The chart a run plays: one difficulty with the song's metadata and tempo folded in,
+    // { version, metadata, tempo, notes, events } as GameEngine reads it
+    getPlayChart(model, difficulty = null) {
+        const name = difficulty || Object.keys(model.difficulties)[0];
+        const chart = model.difficulties[name];
+        if (!chart) {
+            throw new Error(`Difficulty '${name}' not found in chart data`);
+        }
+
+        // Without a known duration the song ends a second after its last note
+        const lastNoteEnd = chart.notes.reduce((end, note) => Math.max(end, note.timestamp + (note.duration || 0)), 0);
+
+        return {
+            version: model.version,
+            metadata: {
+                ...model.metadata,
+                duration: model.metadata.duration || lastNoteEnd + 1000,
+                difficulty: name,
+                level: chart.level,
+                bpm: model.tempo.bpm,
+                measureTimes: model.tempo.measureTimes
+            },
+            tempo: model.tempo,
+            notes: chart.notes,
+            events: chart.events
+        };
+    }
+
+    readNoteEvents(data) {
+        const issues = [];
+        const chart = this.chartLoader.processChart(data, issues);
+
+        return this.createModel('note_events', {
+            title: chart.metadata.title,
+            audio: data.audio_file || null,
+            duration: chart.metadata.duration || null,
+            lanes: chart.metadata.lanes,
+            recordedAt: chart.metadata.recordedAt
+        }, {}, {
+            [this.defaultDifficulty]: this.createDifficulty(chart.notes, { issues })
+        });
+    }
+
+    // Holds and mashes become noteStart/noteEnd pairs, the two halves of a double one
+    // quickPress on the first half's lane with the other half's key as partner_key. Each
+    // lane is recorded with its own name as the key, and long notes overlapping in a lane
+    // get a key of their own (lane_2, ...) so they pair up the same way when read back.
+    writeNoteEvents(model, difficulty = null) {
+        const chart = this.getPlayChart(model, difficulty);
+        const lanes = chart.metadata.lanes;
+        const keyMapping = {};
+        const keyEnds = {}; // key -> end of the long note it is holding
+        lanes.forEach(lane => {
+            keyMapping[lane.toLowerCase()] = lane;
+        });
+
+        const getKey = note => {
+            const base = note.lane.toLowerCase();
+            let key = base;
+            for (let count = 2; keyEnds[key] !== undefined && keyEnds[key] >= note.timestamp; count++) {
+                key = `${base}_${count}`;
+            }
+            keyMapping[key] = note.lane;
+            return key;
+        };
+
+        const noteEvents = [];
+        const writtenDoubles = new Set();
+        chart.notes.forEach((note, index) => {
+            const key = getKey(note);
+            const timestamp = note.timestamp / 1000;
+
+            if (note.type === 'hold' || note.type === 'mash') {
+                keyEnds[key] = note.timestamp + note.duration;
+                const start = { type: 'noteStart', key: key, timestamp: timestamp };
+                if (note.type === 'mash') start.note_type = 'mash';
+                noteEvents.push(start);
+                noteEvents.push({ type: 'noteEnd', key: key, timestamp: (note.timestamp + note.duration) / 1000, duration: note.duration / 1000 });
+                return;
+            }
+
+            const press = { type: 'quickPress', key: key, timestamp: timestamp };
+            if (note.type !== 'normal') press.note_type = note.type;
+
+            // Halves pair up like GameEngine pairs them: another double at the same time in
+            // another lane. A half without one is written alone and reads back with the next lane.
+            if (note.type === 'double') {
+                if (writtenDoubles.has(note)) return;
+                writtenDoubles.add(note);
+                const partner = chart.notes.find((other, otherIndex) => otherIndex > index && other.type === 'double' &&
+                    other.timestamp === note.timestamp && other.lane !== note.lane && !writtenDoubles.has(other));
+                if (partner) {
+                    writtenDoubles.add(partner);
+                    press.partner_key = getKey(partner);
+                }
+            }
+            noteEvents.push(press);
+        });
+
+        if (chart.events.length > 0) {
+            this.logger.warn(`${chart.events.length} chart events can't be written as note_events and were left out`);
+        }
+
+        return {
+            audio_file: chart.metadata.audio,
+            duration: chart.metadata.duration / 1000,
+            lanes: lanes,
+            key_mapping: keyMapping,
+            note_events: noteEvents.sort((a, b) => a.timestamp - b.timestamp)
+        };
+    }
+
+    // Every difficulty goes through BMSTimingEngine; the tempo map is the song's, so it
+    // comes from the engine once, with the measures of the longest difficulty
+    readGrid(data) {
+        const TimingEngine = typeof BMSTimingEngine !== 'undefined' ? BMSTimingEngine : require('./bms-timing-engine.js');
+        const timingEngine = new TimingEngine(data, this.logger);
+        const names = Object.keys(data.charts);
+        const longest = names.reduce((best, name) => (data.charts[name].measures.length > data.charts[best].measures.length ? name : best));
+
+        const difficulties = {};
+        let songEnd = 0;
+        names.forEach(name => {
+            const chart = this.chartLoader.processBMSChart(data, name, timingEngine);
+            difficulties[name] = this.createDifficulty(chart.notes, { level: data.charts[name].level, events: chart.events });
+            songEnd = Math.max(songEnd, chart.metadata.duration);
+        });
+
+        return this.createModel('grid', {
+            title: data.metadata.title || 'Unknown Song',
+            artist: data.metadata.artist || null,
+            audio: (data.audio && data.audio.music) || null,
+            duration: data.metadata.duration ? data.metadata.duration * 1000 : songEnd,
+            lanes: timingEngine.lanes
+        }, {
+            ...timingEngine.getTempoMap(),
+            measureTimes: timingEngine.getMeasureStartTimes(longest)
+        }, difficulties);
+    }
+
+    readOsu(beatmap) {
+        const { chart } = this.chartLoader.createOsuImporter().convert(beatmap);
+        const redLines = beatmap.timingPoints.filter(point => point.uninherited && point.beatLength > 0);
+
+        return this.createModel('osu', {
+            title: chart.metadata.title,
+            artist: chart.metadata.artist,
+            audio: beatmap.general.AudioFilename || null,
+            duration: chart.metadata.duration,
+            lanes: chart.metadata.lanes
+        }, {
+            bpm: chart.metadata.bpm,
+            offset: redLines.length > 0 ? redLines[0].time : 0,
+            changes: redLines.slice(1).map(point => ({ time: point.time, bpm: 60000 / point.beatLength })),
+            measureTimes: chart.metadata.measureTimes
+        }, {
+            [chart.metadata.difficulty || this.defaultDifficulty]: this.createDifficulty(chart.notes)
+        });
+    }
+
+    // A note in both lanes at once is two normal notes
+    readLegacy(data) {
+        const difficulties = {};
+        Object.entries(data.chart).forEach(([name, entries]) => {
+            difficulties[name] = this.createDifficulty(this.readLaneFlags(entries, entry => entry.time));
+        });
+
+        return this.createModel('legacy', {
+            title: data.info.title || 'Unknown Song',
+            artist: data.info.artist || null,
+            audio: data.info.audio || null,
+            duration: data.info.duration || null
+        }, { bpm: data.info.bpm || null }, difficulties);
+    }
+
+    readGenerated(entries) {
+        return this.createModel('generated', {}, {}, {
+            [this.defaultDifficulty]: this.createDifficulty(this.readLaneFlags(entries, entry => entry.hitTime))
+        });
+    }
+
+    // Entries flag their notes with topLane/bottomLane, optionally with a type and duration
+    readLaneFlags(entries, getTime) {
+        const notes = [];
+        entries.forEach(entry => {
+            ['top', 'bottom'].forEach(lane => {
+                if (!entry[`${lane}Lane`]) return;
+                notes.push({
+                    id: `note_${notes.length}`,
+                    type: entry.type || 'normal',
+                    lane: lane,
+                    timestamp: getTime(entry),
+                    duration: entry.duration || 0
+                });
+            });
+        });
+        return notes.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    readProcessed(chart) {
+        const metadata = chart.metadata || {};
+        return this.createModel('processed', {
+            title: metadata.title || 'Unknown Song',
+            artist: metadata.artist || null,
+            audio: metadata.audio || null,
+            duration: metadata.duration || null,
+            lanes: metadata.lanes || this.chartLoader.defaultLanes
+        }, {
+            bpm: metadata.bpm || null,
+            measureTimes: metadata.measureTimes || null
+        }, {
+            [metadata.difficulty || this.defaultDifficulty]: this.createDifficulty(chart.notes, { level: metadata.level, events: chart.events })
+        });
+    }
+}
+
+// Allow requiring under Node for headless simulation
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartModel;
+
+    if (require.main === module) {
+        const fs = require('fs');
+        const ChartLoader = require('./chart-loader.js');
+        const args = process.argv.slice(2);
+        const option = name => {
+            const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+            return arg ? arg.slice(name.length + 3) : undefined;
+        };
+        const chartPath = args.find(arg => !arg.startsWith('--'));
+
+        if (!chartPath) {
+            console.error('Usage: node scripts/chart-model.js <chart> [--to=model|note_events] [--difficulty=name]');
+            process.exit(1);
+        }
+
+        const chartLoader = new ChartLoader({ log() {}, warn: (...messages) => console.error(...messages), error: (...messages) => console.error(...messages) });
+        const model = chartLoader.chartModel.read(chartLoader.decodeChartData(chartPath, fs.readFileSync(chartPath)));
+        console.log(JSON.stringify(chartLoader.chartModel.write(model, option('to') || 'model', option('difficulty')), null, 2));
+    }
+}
@@ -0,0 +1,196 @@
+// Snaps a chart onto a BPM grid and writes it as BMS measures
+// ({ metadata, audio, charts: { <difficulty>: { measures } } }), e.g.
+//
+//   node scripts/chart-quantizer.js "songs/feel it.json" --bpm=120 --offset=0.6 > grid.json
+//
+// Every note's snap error goes in the report, along with the notes that could not be
+// placed cleanly: too far from the grid, on a taken slot, inside a hold or before the grid.
+class ChartQuantizer {
+    // options: bpm, offset (seconds, where measure 0 starts), subdivision (slots per measure),
+    // beatsPerMeasure, difficulty (chart name), tolerance (ms of snap error before a note is
+    // flagged, a quarter of a slot by default)
+    constructor(options = {}) {
+        if (!(options.bpm > 0)) {
+            throw new Error('Quantizing needs a BPM');
+        }
+
+        this.bpm = options.bpm;
+        this.offset = options.offset || 0;
+        this.subdivision = options.subdivision || 16;
+        this.beatsPerMeasure = options.beatsPerMeasure || 4;
+        this.difficulty = options.difficulty || 'normal';
+        this.slotDuration = (60000 / this.bpm) * this.beatsPerMeasure / this.subdivision; // ms
+        this.tolerance = options.tolerance ?? this.slotDuration / 4;
+        this.logger = options.logger || console;
+
+        // Processed note types to lane pattern characters, long notes as [start, end]
+        this.noteChars = { normal: '1', ghost: 'G', hammer: 'X', double: 'D', hold: ['2', '3'], mash: ['M', 'm'] };
+    }
+
+    // chartData is any chart ChartModel reads, usually a recorded one ({ audio_file, duration, note_events }),
+    // and sourceDifficulty the difficulty of it to quantize (its first one by default);
+    // returns { chart, report } with report { notes, flagged, averageError, maxError }
+    quantize(chartData, sourceDifficulty = null) {
+        // Holds are paired and keys mapped to lanes the same way the game reads the chart
+        const Loader = typeof ChartLoader !== 'undefined' ? ChartLoader : require('./chart-loader.js');
+        const { chartModel } = new Loader({ log() {}, warn: (...args) => this.logger.warn(...args) });
+        const { metadata, notes } = chartModel.getPlayChart(chartModel.read(chartData), sourceDifficulty);
+        this.lanes = metadata.lanes;
+
+        const measures = [];
+        const reportNotes = [];
+        const flagged = [];
+        const laneState = {};
+        this.lanes.forEach(lane => {
+            laneState[lane] = { taken: new Set(), holdEnd: -1 };
+        });
+
+        notes.forEach(note => {
+            const start = this.snap(note.timestamp);
+            const entry = { id: note.id, type: note.type, lane: note.lane, time: note.timestamp, measure: start.measure, subdivision: start.subdivision, error: start.error };
+            const lane = laneState[note.lane];
+            const flag = reason => flagged.push({ id: note.id, time: note.timestamp, lane: note.lane, reason });
+
+            if (start.slot < 0) {
+                flag('before the first measure, left out');
+                return;
+            }
+            if (start.slot <= lane.holdEnd) {
+                flag(start.slot === lane.holdEnd ? 'on the end of a hold, left out' : 'inside a hold, left out');
+                return;
+            }
+            if (lane.taken.has(start.slot)) {
+                flag('slot already taken in this lane, left out');
+                return;
+            }
+
+            let chars = this.noteChars[note.type];
+            let end = null;
+            if (Array.isArray(chars)) {
+                end = this.snap(note.timestamp + note.duration);
+                entry.endError = end.error;
+                if (end.slot <= start.slot) {
+                    flag(`${note.type} shorter than one slot, placed as a tap`);
+                    chars = this.noteChars.normal;
+                    end = null;
+                }
+            }
+
+            if (Math.abs(start.error) > this.tolerance || (end && Math.abs(end.error) > this.tolerance)) {
+                flag(`snapped ${Math.round(Math.max(Math.abs(start.error), end ? Math.abs(end.error) : 0))}ms, more than ${Math.round(this.tolerance)}ms`);
+            }
+
+            lane.taken.add(start.slot);
+            this.setChar(measures, start, note.lane, end ? chars[0] : chars);
+            if (end) {
+                lane.holdEnd = end.slot;
+                lane.taken.add(end.slot);
+                this.setChar(measures, end, note.lane, chars[1]);
+            }
+            reportNotes.push(entry);
+        });
+
+        const errors = reportNotes.map(entry => Math.abs(entry.error));
+        const report = {
+            notes: reportNotes,
+            flagged: flagged.sort((a, b) => a.time - b.time),
+            averageError: errors.length > 0 ? errors.reduce((sum, error) => sum + error, 0) / errors.length : 0,
+            maxError: errors.length > 0 ? Math.max(...errors) : 0
+        };
+
+        const chart = {
+            metadata: {
+                title: metadata.title,
+                artist: metadata.artist,
+                lanes: this.lanes,
+                bpm: this.bpm,
+                subdivision: this.subdivision,
+                beatsPerMeasure: this.beatsPerMeasure,
+                offset: this.offset,
+                duration: metadata.duration / 1000 // Keep playing to the end of the recording
+            },
+            audio: metadata.audio ? { music: metadata.audio } : {},
+            charts: {
+                [this.difficulty]: {
+                    measures: measures.map(measure => {
+                        const patterns = {};
+                        this.lanes.forEach(lane => {
+                            patterns[`${lane}Lane`] = measure[lane].join('');
+                        });
+                        return patterns;
+                    })
+                }
+            }
+        };
+
+        this.logger.log(`Quantized ${reportNotes.length} notes, average snap ${report.averageError.toFixed(1)}ms, ${flagged.length} flagged`);
+        return { chart, report };
+    }
+
+    // Nearest grid slot to a time in ms, with error = time - slot time
+    snap(time) {
+        const slot = Math.round((time - this.offset * 1000) / this.slotDuration);
+        return {
+            slot: slot,
+            measure: Math.floor(slot / this.subdivision),
+            subdivision: ((slot % this.subdivision) + this.subdivision) % this.subdivision,
+            error: time - (this.offset * 1000 + slot * this.slotDuration)
+        };
+    }
+
+    setChar(measures, position, lane, char) {
+        for (let index = measures.length; index <= position.measure; index++) {
+            measures[index] = this.emptyMeasure();
+        }
+        measures[position.measure][lane][position.subdivision] = char;
+    }
+
+    emptyMeasure() {
+        const measure = {};
+        this.lanes.forEach(lane => {
+            measure[lane] = Array(this.subdivision).fill('0');
+        });
+        return measure;
+    }
+}
+
+// Allow requiring under Node for headless simulation
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartQuantizer;
+
+    if (require.main === module) {
+        const fs = require('fs');
+        const args = process.argv.slice(2);
+        const option = name => {
+            const arg = args.find(candidate => candidate.startsWith(`--${name}=`));
+            return arg ? arg.slice(name.length + 3) : undefined;
+        };
+        const chartPath = args.find(arg => !arg.startsWith('--'));
+
+        if (!chartPath || !option('bpm')) {
+            console.error('Usage: node scripts/chart-quantizer.js <chart> --bpm=120 [--offset=0] [--subdivision=16] [--difficulty=normal] [--from=difficulty] [--tolerance=ms] [--report=report.json]');
+            process.exit(1);
+        }
+
+        const quantizer = new ChartQuantizer({
+            bpm: parseFloat(option('bpm')),
+            offset: parseFloat(option('offset')) || 0,
+            subdivision: parseInt(option('subdivision'), 10) || undefined,
+            difficulty: option('difficulty'),
+            tolerance: option('tolerance') !== undefined ? parseFloat(option('tolerance')) : undefined,
+            logger: { log: (...messages) => console.error(...messages), warn: (...messages) => console.error(...messages) }
+        });
+        const ChartLoader = require('./chart-loader.js');
+        const chartData = new ChartLoader({ log() {}, warn: (...messages) => console.error(...messages) })
+            .decodeChartData(chartPath, fs.readFileSync(chartPath));
+        const { chart, report } = quantizer.quantize(chartData, option('from'));
+
+        report.flagged.forEach(entry => {
+            console.error(`${(entry.time / 1000).toFixed(3)}s ${entry.lane} ${entry.id}: ${entry.reason}`);
+        });
+        if (option('report')) {
+            fs.writeFileSync(option('report'), JSON.stringify(report, null, 2));
+        }
+        console.log(JSON.stringify(chart, null, 2));
+    }
+}
@@ -0,0 +1,182 @@
+// Records a chart by playing a song while the author taps the lane keys.
+// Writes the note_events schema ChartLoader.processChart reads ("feel it.json" style).
+class ChartRecorder {
+    constructor(gameStateManager) {
+        this.gameStateManager = gameStateManager;
+        this.laneKeys = ['d', 'f', 'j', 'k']; // Same keys as in the game, d/f top and j/k bottom
+        this.keyMapping = { d: 'top', f: 'top', j: 'bottom', k: 'bottom' }; // Written to the chart as key_mapping
+        this.holdThreshold = 200; // Presses at least this long (ms) are recorded as holds
+        this.undoSeconds = 5; // How far back Undo goes
+        this.audio = null;
+        this.audioFile = null; // File name written to audio_file
+        this.audioUrl = null;
+        this.noteEvents = [];
+        this.pressedKeys = {}; // key -> press time (seconds)
+        this.isRecording = false;
+        this.statusTimer = null;
+    }
+
+    // file is an audio File picked by the author
+    loadAudio(file) {
+        if (!file) return;
+
+        this.stop();
+        if (this.audioUrl) {
+            URL.revokeObjectURL(this.audioUrl);
+        }
+
+        this.audioUrl = URL.createObjectURL(file);
+        this.audio = new Audio(this.audioUrl);
+        this.audio.addEventListener('ended', () => this.stop());
+        this.audioFile = file.name;
+        this.noteEvents = [];
+        this.updateStatus(`Loaded ${file.name}. Press Record and tap along.`);
+    }
+
+    // Starts (or continues) recording where the song is; options.holdThreshold in ms,
+    // options.undoSeconds for Undo
+    start(options = {}) {
+        if (!this.audio) {
+            this.updateStatus('Choose an audio file first.');
+            return;
+        }
+
+        this.holdThreshold = options.holdThreshold ?? this.holdThreshold;
+        this.undoSeconds = options.undoSeconds ?? this.undoSeconds;
+        if (this.audio.ended) {
+            this.audio.currentTime = 0;
+        }
+
+        this.pressedKeys = {};
+        this.isRecording = true;
+        this.audio.play().catch(error => {
+            console.error('Failed to play audio for recording:', error);
+            this.stop();
+        });
+
+        this.statusTimer = setInterval(() => this.updateStatus(), 250);
+        this.updateStatus();
+        console.log(`Recording started, holds from ${this.holdThreshold}ms`);
+    }
+
+    stop() {
+        if (!this.isRecording) return;
+
+        // Keys still down when the song stops end their note here
+        const now = this.getTime();
+        Object.keys(this.pressedKeys).forEach(key => this.recordNote(key, this.pressedKeys[key], now));
+        this.pressedKeys = {};
+
+        this.isRecording = false;
+        if (this.audio) {
+            this.audio.pause();
+        }
+        if (this.statusTimer) {
+            clearInterval(this.statusTimer);
+            this.statusTimer = null;
+        }
+
+        this.updateStatus('Stopped. Record to continue, or export the chart.');
+    }
+
+    // Song time in seconds; eventTime is a performance.now()-based timestamp (e.g. event.timeStamp)
+    // so a key press counts from when it happened, not from when the handler ran
+    getTime(eventTime = performance.now()) {
+        if (!this.audio) return 0;
+        return Math.max(0, this.audio.currentTime - (performance.now() - eventTime) / 1000);
+    }
+
+    handleKey(e) {
+        const key = e.key.toLowerCase();
+        if (!this.isRecording || !this.laneKeys.includes(key)) return;
+
+        if (e.type === 'keydown') {
+            if (e.repeat || this.pressedKeys[key] !== undefined) return;
+            this.pressedKeys[key] = this.getTime(e.timeStamp);
+        } else if (this.pressedKeys[key] !== undefined) {
+            this.recordNote(key, this.pressedKeys[key], this.getTime(e.timeStamp));
+            delete this.pressedKeys[key];
+        }
+    }
+
+    // A short press is a quickPress, a long one a noteStart/noteEnd pair
+    recordNote(key, startTime, endTime) {
+        const duration = endTime - startTime;
+
+        if (duration * 1000 < this.holdThreshold) {
+            this.noteEvents.push({ type: 'quickPress', key: key, timestamp: startTime });
+        } else {
+            this.noteEvents.push({ type: 'noteStart', key: key, timestamp: startTime });
+            this.noteEvents.push({ type: 'noteEnd', key: key, timestamp: endTime, duration: duration });
+        }
+        this.updateStatus();
+    }
+
+    // Drops the notes that start in the last undoSeconds and rewinds the song to re-record them
+    undo() {
+        if (!this.audio) return;
+
+        const cutoff = Math.max(0, this.getTime() - this.undoSeconds);
+        const before = this.noteEvents.length;
+        const startTimes = {}; // noteEnd events go with the noteStart before them on the same key
+
+        this.noteEvents = this.noteEvents.filter(event => {
+            if (event.type === 'noteEnd') {
+                return startTimes[event.key] < cutoff;
+            }
+            if (event.type === 'noteStart') {
+                startTimes[event.key] = event.timestamp;
+            }
+            return event.timestamp < cutoff;
+        });
+
+        this.pressedKeys = {};
+        this.audio.currentTime = cutoff;
+        this.updateStatus(`Removed ${before - this.noteEvents.length} events, back to ${this.formatTime(cutoff)}.`);
+    }
+
+    getChart() {
+        return {
+            recorded_at: new Date().toISOString(),
+            audio_file: this.audioFile,
+            duration: this.audio && Number.isFinite(this.audio.duration) ? this.audio.duration : this.getTime(),
+            lanes: ['top', 'bottom'],
+            key_mapping: this.keyMapping,
+            note_events: [...this.noteEvents].sort((a, b) => a.timestamp - b.timestamp)
+        };
+    }
+
+    exportChart() {
+        if (this.noteEvents.length === 0) {
+            this.updateStatus('Nothing recorded yet.');
+            return;
+        }
+
+        this.stop();
+        const chart = this.getChart();
+        const blob = new Blob([JSON.stringify(chart, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = `${(this.audioFile || 'chart').replace(/\.[^.]+$/, '')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        this.updateStatus(`Exported ${chart.note_events.length} events. Put the file next to the audio in songs/.`);
+    }
+
+    getNoteCount() {
+        return this.noteEvents.filter(event => event.type !== 'noteEnd').length;
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    }
+
+    updateStatus(message = null) {
+        const time = this.formatTime(this.getTime());
+        const state = this.isRecording ? `Recording ${time}` : time;
+        this.gameStateManager.uiManager.updateRecorderStatus(message || state, this.getNoteCount());
+    }
+}
@@ -0,0 +1,279 @@
+// Renders notes, hit zones and particles as DOM elements
+class DOMRenderer {
+    constructor() {
+        this.hitZoneMarkers = [];
+        this.hitZoneX = null;
+        this.hitZoneLanes = [];
+    }
+
+    // Nothing to draw per frame, DOM nodes are updated as they change
+    render() {
+    }
+
+    getLaneCenter(lane) {
+        const laneElement = document.getElementById(`${lane}-lane`);
+        if (!laneElement) return null;
+
+        const laneRect = laneElement.getBoundingClientRect();
+        return laneRect.top + (laneRect.height / 2);
+    }
+
+    createNote(lane, position, type = 'normal', duration = 0) {
+        console.log(`UI: Creating ${type} note for ${lane} lane`);
+        
+        // Get the lane's vertical position on screen
+        const laneCenter = this.getLaneCenter(lane);
+        if (laneCenter === null) {
+            console.error(`Lane element not found: ${lane}-lane`);
+            return null;
+        }
+        
+        // Create note using same approach as red box - fixed positioning
+        const note = document.createElement('div');
+        note.className = `note ${type}-note`;
+        note.style.position = 'fixed';
+        note.style.top = (laneCenter - 40) + 'px'; // Center in lane (40px = half of 80px note height)
+        note.style.left = window.innerWidth + 'px'; // Start past the right edge of screen
+        note.style.width = '80px';
+        note.style.height = '80px';
+        note.style.zIndex = '1000';
+        note.dataset.lane = lane;
+        note.dataset.position = position;
+        note.dataset.type = type;
+
+        if (type === 'hold') {
+            // Hold notes are a head, a body stretched to the tail and the tail itself;
+            // the note element is a transparent container spanning all three
+            note.innerHTML = `
+                <div class="hold-body" style="position: absolute; top: 20px; left: 40px; right: 40px; height: 40px; background: linear-gradient(180deg, rgba(255, 215, 0, 0.4), rgba(255, 179, 71, 0.7), rgba(255, 215, 0, 0.4)); border-top: 2px solid rgba(255, 215, 0, 1); border-bottom: 2px solid rgba(255, 215, 0, 1);"></div>
+                <div class="hold-tail" style="position: absolute; top: 15px; right: 15px; width: 50px; height: 50px; background: linear-gradient(90deg, #ffd700, #ffb347, #ffd700); border: 4px solid rgba(255, 215, 0, 1); border-radius: 10px; box-shadow: 0 0 20px rgba(255, 215, 0, 0.6);"></div>
+                <div class="hold-head" style="position: absolute; top: 0; left: 0; width: 80px; height: 80px; background: linear-gradient(90deg, #ffd700, #ffb347, #ffd700); border: 4px solid rgba(255, 215, 0, 1); border-radius: 15px; box-shadow: 0 0 30px rgba(255, 215, 0, 0.8);">
+                    <div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); color: white; font-size: 1.2rem; font-weight: bold;">HOLD</div>
+                    <div class="hold-progress" style="position: absolute; bottom: 0; left: 0; width: 0%; height: 6px; background: rgba(255, 255, 255, 0.8); border-radius: 0 0 10px 10px; transition: width 0.1s ease-out;"></div>
+                </div>
+            `;
+        } else if (type === 'mash') {
+            // Mash notes: a big drum that counts the presses it takes
+            note.style.background = 'radial-gradient(circle, #da70d6, #8a2be2)';
+            note.style.border = '4px solid rgba(255, 255, 255, 1)';
+            note.style.borderRadius = '50%';
+            note.style.boxShadow = '0 0 40px rgba(218, 112, 214, 1)';
+            note.style.transform = 'scale(1.3)';
+            note.innerHTML = `
+                <div style="position: absolute; top: 35%; left: 50%; transform: translate(-50%, -50%); color: white; font-size: 1rem; font-weight: bold;">MASH</div>
+                <div class="mash-count" style="position: absolute; top: 65%; left: 50%; transform: translate(-50%, -50%); color: white; font-size: 1.2rem; font-weight: bold;"></div>
+            `;
+        } else if (type === 'double') {
+            // Double notes: one in each lane, both have to be pressed together
+            note.style.background = 'radial-gradient(circle, #7fffd4, #20b2aa)';
+            note.style.border = '4px solid rgba(255, 255, 255, 1)';
+            note.style.borderRadius = '50%';
+            note.style.boxShadow = '0 0 30px rgba(127, 255, 212, 1)';
+            note.innerHTML = '<div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); color: white; font-size: 1.2rem; font-weight: bold;">●●</div>';
+        } else if (type === 'hammer') {
+            // Hammer notes: obstacles that must not be hit
+            note.style.background = 'radial-gradient(circle, #555555, #1a1a1a)';
+            note.style.border = '4px solid rgba(255, 69, 0, 1)';
+            note.style.borderRadius = '15px';
+            note.style.boxShadow = '0 0 30px rgba(255, 69, 0, 1)';
+            note.innerHTML = '<div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); color: white; font-size: 1.8rem; font-weight: bold;">✖</div>';
+        } else {
+            // Regular note styling, ghost notes look the same and fade out on the way in
+            note.style.background = 'radial-gradient(circle, #ff6b9d, #c44569)';
+            note.style.border = '4px solid rgba(255, 255, 255, 1)';
+            note.style.borderRadius = '50%';
+            note.style.boxShadow = '0 0 30px rgba(255, 107, 157, 1)';
+            note.innerHTML = '<div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); color: white; font-size: 1.5rem; font-weight: bold;">●</div>';
+        }
+
+        document.body.appendChild(note);
+        console.log(`${type} note created and added to body at top: ${note.style.top}`);
+        return note;
+    }
+
+    // Place a note so its center sits at screen x; hold notes stretch to the tail at tailX
+    setNotePosition(note, x, tailX = x) {
+        if (!note) return;
+        note.style.left = (x - 40) + 'px'; // 40px = half of 80px note width
+        if (note.dataset.type === 'hold') {
+            note.style.width = (Math.max(x, tailX) - x + 80) + 'px';
+        }
+    }
+
+    setNoteOpacity(note, opacity) {
+        if (!note) return;
+        note.style.opacity = opacity;
+    }
+
+    updateMashCount(note, hits) {
+        const count = note && note.querySelector('.mash-count');
+        if (count) {
+            count.textContent = hits;
+            note.style.filter = 'brightness(1.4)';
+            setTimeout(() => {
+                note.style.filter = 'brightness(1)';
+            }, 60);
+        }
+    }
+
+    removeNote(note) {
+        if (note && note.parentElement) {
+            note.remove();
+        }
+    }
+
+    startHoldEffect(note) {
+        console.log('Starting hold effect for note');
+        const head = note && note.querySelector('.hold-head');
+        if (head) {
+            head.style.transform = 'scale(1.1)';
+            head.style.filter = 'brightness(1.3)';
+            
+            // Add pulsing animation
+            head.style.animation = 'holdPulse 0.5s ease-in-out infinite alternate';
+        }
+    }
+
+    updateHoldProgress(note, progress) {
+        if (note) {
+            const progressBar = note.querySelector('.hold-progress');
+            if (progressBar) {
+                progressBar.style.width = (progress * 100) + '%';
+            }
+        }
+    }
+
+    completeHoldEffect(note, judgment) {
+        console.log(`Completing hold effect with judgment: ${judgment}`);
+        
+        const head = note && note.querySelector('.hold-head');
+        if (head) {
+            // Stop pulsing animation
+            head.style.animation = 'none';
+            
+            // Show completion effect based on judgment
+            if (judgment === 'perfect') {
+                head.style.background = 'linear-gradient(90deg, #00ff00, #32cd32, #00ff00)';
+                head.style.boxShadow = '0 0 50px rgba(0, 255, 0, 1)';
+                this.createHoldCompletionParticles(head);
+            } else if (judgment === 'great') {
+                head.style.background = 'linear-gradient(90deg, #00bfff, #87ceeb, #00bfff)';
+                head.style.boxShadow = '0 0 40px rgba(0, 191, 255, 0.8)';
+            } else if (judgment === 'good') {
+                head.style.background = 'linear-gradient(90deg, #ffa500, #ffd700, #ffa500)';
+                head.style.boxShadow = '0 0 30px rgba(255, 165, 0, 0.8)';
+            } else {
+                head.style.background = 'linear-gradient(90deg, #ff0000, #ff6b6b, #ff0000)';
+                head.style.boxShadow = '0 0 20px rgba(255, 0, 0, 0.8)';
+            }
+            
+            // The rest of the body has been played, only the head is left
+            note.style.width = '80px';
+            note.querySelectorAll('.hold-body, .hold-tail').forEach(part => part.remove());
+            
+            // Remove after animation
+            setTimeout(() => {
+                this.removeNote(note);
+            }, 500);
+        }
+    }
+
+    createHoldCompletionParticles(noteElement) {
+        const rect = noteElement.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+
+        this.spawnParticles(centerX, centerY, { count: 12, color: '#00ff00', size: 6, distance: 120, duration: 800 });
+    }
+
+    spawnParticles(centerX, centerY, { count = 8, color = '#ffd700', size = 8, distance = 100, duration = 600 } = {}) {
+        for (let i = 0; i < count; i++) {
+            const particle = document.createElement('div');
+            particle.style.position = 'fixed';
+            particle.style.left = centerX + 'px';
+            particle.style.top = centerY + 'px';
+            particle.style.width = size + 'px';
+            particle.style.height = size + 'px';
+            particle.style.background = color;
+            particle.style.borderRadius = '50%';
+            particle.style.pointerEvents = 'none';
+            particle.style.zIndex = '1001';
+            particle.style.boxShadow = `0 0 ${size + 2}px ${color}`;
+
+            document.body.appendChild(particle);
+
+            const angle = (i / count) * Math.PI * 2;
+            const endX = centerX + Math.cos(angle) * distance;
+            const endY = centerY + Math.sin(angle) * distance;
+
+            particle.animate([
+                { 
+                    transform: 'translate(0, 0) scale(1)',
+                    opacity: 1
+                },
+                { 
+                    transform: `translate(${endX - centerX}px, ${endY - centerY}px) scale(0)`,
+                    opacity: 0
+                }
+            ], {
+                duration: duration,
+                easing: 'ease-out'
+            }).onfinish = () => {
+                particle.remove();
+            };
+        }
+    }
+
+    // Lanes moved on screen (lane swap): move the notes and markers with them
+    refreshLaneLayout() {
+        document.querySelectorAll('.note').forEach(note => {
+            const laneCenter = this.getLaneCenter(note.dataset.lane);
+            if (laneCenter !== null) {
+                note.style.top = (laneCenter - 40) + 'px';
+            }
+        });
+
+        if (this.hitZoneMarkers.length > 0) {
+            this.showHitZones(this.hitZoneX, this.hitZoneLanes);
+        }
+    }
+
+    showHitZones(hitZoneX, lanes) {
+        console.log('Adding hit zone markers...');
+        this.clearHitZones();
+        this.hitZoneX = hitZoneX;
+        this.hitZoneLanes = lanes;
+
+        lanes.forEach(lane => {
+            const laneCenter = this.getLaneCenter(lane);
+            if (laneCenter === null) return;
+
+            const marker = document.createElement('div');
+            marker.style.position = 'fixed';
+            marker.style.left = (hitZoneX - 40) + 'px'; // Center the 80px marker
+            marker.style.top = (laneCenter - 40) + 'px';
+            marker.style.width = '80px';
+            marker.style.height = '80px';
+            marker.style.background = 'rgba(255, 20, 147, 0.6)'; // Pink with transparency
+            marker.style.border = '3px solid rgba(255, 20, 147, 1)';
+            marker.style.borderRadius = '50%';
+            marker.style.zIndex = '500';
+            marker.style.boxShadow = '0 0 20px rgba(255, 20, 147, 0.8)';
+            marker.innerHTML = '<div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); color: white; font-size: 1.2rem; font-weight: bold;">HIT</div>';
+            document.body.appendChild(marker);
+            this.hitZoneMarkers.push(marker);
+
+            console.log(`Hit zone marker added at x=${hitZoneX}, ${lane} lane y=${laneCenter}`);
+        });
+    }
+
+    clearHitZones() {
+        this.hitZoneMarkers.forEach(marker => marker.remove());
+        this.hitZoneMarkers = [];
+    }
+
+    destroy() {
+        this.clearHitZones();
+        document.querySelectorAll('.note').forEach(note => note.remove());
+    }
+}
\ No newline at end of file
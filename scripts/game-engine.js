@@ -1,6 +1,15 @@
 class GameEngine {
-    constructor(gameStateManager) {
+    // options replace the browser dependencies so the engine can run headless:
+    // clock ({ now() }), scheduler ({ requestFrame(callback), cancelFrame(id) }),
+    // chartLoader and logger ({ log, warn, error })
+    constructor(gameStateManager, options = {}) {
         this.gameStateManager = gameStateManager;
+        this.clock = options.clock || performance;
+        this.scheduler = options.scheduler || {
+            requestFrame: callback => requestAnimationFrame(callback),
+            cancelFrame: id => cancelAnimationFrame(id)
+        };
+        this.logger = options.logger || console;
         this.isPlaying = false;
         this.isPaused = false;
         this.currentSong = null;
@@ -10,16 +19,74 @@ class GameEngine {
         this.songProgress = 0;
         this.songDuration = 60000; // Will be set from chart
         this.bpm = 128; // Will be set from chart
+        this.holdTicksPerBeat = 4; // Hold ticks on every 16th note of the beat grid
+        this.beatGrid = null; // Chart's tempo map as [{ time, beat, bpm }], null without a BPM
+        this.holdTickInterval = 125; // Hold tick spacing (ms) on charts without a BPM
+        this.holdTickPoints = 10;
+        this.mashHitPoints = 50; // Every press on a mash note while it sits on the hit zone
+        this.doubleWindow = 80; // Max gap (ms) between the two presses of a double note
+        this.ghostFadeStart = 0.6; // Ghost notes start fading with this much of their travel left
+        this.ghostFadeEnd = 0.3; // ...and are invisible from here to the hit zone
         this.noteSpeed = 4; // pixels per frame at 60fps
         this.lastNoteSpawn = 0;
         this.spawnInterval = 800; // milliseconds between notes
         
-        this.chartLoader = new ChartLoader();
+        this.chartLoader = options.chartLoader || new ChartLoader();
         this.currentChart = null;
+        this.chartId = null; // Path of the loaded song
+        this.difficulty = null; // Chart of the song being played, for BMS songs
         this.chartIndex = 0;
         this.startTime = null;
-        this.travelTime = 3000; // Time for note to travel from spawn to hit zone (ms)
+        this.baseTravelTime = 6000; // Travel time at 1.0x scroll speed (ms)
+        this.travelTime = 3000; // Time for note to travel from spawn to hit zone (ms), set from scroll speed
+        this.playerTravelTime = 3000; // travelTime from the player's setting, before chart scroll speed events
+        this.minLeadInTime = 1000;
+        this.leadInTime = 1000; // Delay before the song starts (ms)
         this.audioStartTime = null;
+        this.audioStarted = false;
+        this.pausedSongTime = 0;
+        this.isResuming = false;
+        this.resumeTimeout = null;
+        this.resumeCancel = null;
+        this.audioOffset = 0; // Player's audio latency (ms), subtracted from input times
+        this.visualOffset = 0; // Player's display latency (ms), notes are drawn this far ahead
+        this.playbackRate = 1; // Song time advances this much faster than real time
+        this.judgeRate = null; // Rate a watched replay was recorded at, judged at instead of playbackRate
+        this.inputSource = null; // AutoplayController or ReplayPlayer feeding inputs instead of the player
+        this.inputRecorder = null; // Gets every input passed to handleInput, for replays
+        this.isSeeking = false;
+        this.practiceOptions = null; // { unit, from, to, loop } picked on the practice screen
+        this.practiceSection = null; // { start, end, loop } in song ms once the chart is loaded
+        this.seekFrameInterval = 1000 / 60; // Step size (ms) when re-simulating for a seek
+        this.eventIndex = 0; // Next of currentChart.events ({ time, type, ... }) to run
+        this.lanes = ['top', 'bottom']; // Lanes of the current chart, top to bottom on screen
+        this.laneKeys = {}; // lane -> keyboard keys that play it
+        this.lanesSwapped = false;
+        this.hiddenLanes = new Set(); // Lanes whose notes a chart event has hidden
+
+        // Judgment windows: max gap (ms) between an input and a note's hitTime.
+        // Presses outside the miss window are ignored.
+        this.judgmentWindows = {
+            perfect: 50,
+            great: 100,
+            good: 150,
+            miss: 200
+        };
+    }
+
+    setJudgmentWindows(windows) {
+        this.judgmentWindows = { ...this.judgmentWindows, ...windows };
+    }
+
+    // An input source ({ reset(), update(songTime) }) plays the next runs, null for a human player
+    setInputSource(source) {
+        this.inputSource = source;
+    }
+
+    // Practice only part of the chart: unit 'seconds' or 'measures' (1-based, inclusive,
+    // for charts with metadata.measureTimes). null plays the whole song.
+    setPractice(options) {
+        this.practiceOptions = options;
     }
 
     createDemoChart() {
@@ -35,101 +102,281 @@ class GameEngine {
             { top: false, bottom: true, type: 'hold', duration: 2400 }
         ];
 
-        // Create notes that spawn early to account for travel time
+        // Spawn times are worked out at runtime from the scroll speed
         for (let i = 0; i < 120; i++) {
             const pattern = patterns[i % patterns.length];
             const hitTime = i * 800; // When note should be hit
-            const spawnTime = hitTime - this.travelTime; // When note should spawn
             
-            if (spawnTime >= 0) {
-                chart.push({
-                    spawnTime: spawnTime,
-                    hitTime: hitTime,
-                    topLane: pattern.top,
-                    bottomLane: pattern.bottom,
-                    type: pattern.type || 'normal',
-                    duration: pattern.duration || 0
-                });
-            }
+            chart.push({
+                hitTime: hitTime,
+                topLane: pattern.top,
+                bottomLane: pattern.bottom,
+                type: pattern.type || 'normal',
+                duration: pattern.duration || 0
+            });
         }
 
         return chart;
     }
 
 
-    async loadSong(songPath) {
+    async loadSong(songPath, difficulty = null) {
         try {
-            console.log('Loading song:', songPath);
-            this.currentChart = await this.chartLoader.loadChart(songPath);
+            this.logger.log('Loading song:', songPath);
+            this.currentChart = await this.chartLoader.loadChart(songPath, difficulty);
             this.songDuration = this.currentChart.metadata.duration;
-            console.log('Song loaded successfully:', this.currentChart.metadata.title);
+            this.logger.log('Song loaded successfully:', this.currentChart.metadata.title);
             return this.currentChart;
         } catch (error) {
-            console.error('Failed to load song:', error);
+            this.logger.error('Failed to load song:', error);
             throw error;
         }
     }
 
-    async startGame() {
+    // settings can be swapped out, e.g. for the settings a replay was recorded with.
+    // difficulty picks a chart of a BMS song, null for its first one.
+    async startGame(songPath = './songs/feel it.json', settings = this.gameStateManager.settings, difficulty = null) {
+        this.chartId = songPath;
+        this.difficulty = difficulty;
+
         // Load the song first
         try {
-            await this.loadSong('./songs/feel it.json');
+            await this.loadSong(songPath, difficulty);
         } catch (error) {
-            console.error('Failed to load song, using demo chart:', error);
+            this.logger.error('Failed to load song, using demo chart:', error);
             this.currentChart = { notes: [] };
             this.songDuration = 60000;
         }
+        this.beginPlay(settings);
+    }
+
+    // Starts a run of currentChart; startGame loads it first, headless runs set it directly
+    beginPlay(settings = this.gameStateManager.settings) {
+        this.setupLanes((this.currentChart.metadata && this.currentChart.metadata.lanes) || ['top', 'bottom']);
+        this.beatGrid = this.buildBeatGrid(this.currentChart.tempo || { bpm: this.currentChart.metadata && this.currentChart.metadata.bpm });
+        this.applyOffsets(settings);
+        this.applyScrollSpeed(settings);
+        this.practiceSection = this.practiceOptions ? this.resolvePracticeSection(this.practiceOptions) : null;
+
+        // Leave enough lead-in for the first note to scroll in from the edge
+        const runStart = this.getRunStart();
+        const firstNote = this.currentChart.notes[this.getFirstNoteIndex(runStart)];
+        this.leadInTime = Math.max(this.minLeadInTime, firstNote ? this.travelTime - (firstNote.timestamp - runStart) : 0);
+
         this.isPlaying = true;
         this.isPaused = false;
-        this.songProgress = 0;
-        this.chartIndex = 0;
-        this.notes = [];
-        this.startTime = performance.now();
-        this.lastNoteSpawn = 0;
+        this.restartRun();
+        // Song time runs through the lead-in and reaches the run start when the audio starts
+        this.startTime = this.clock.now() - (runStart - this.leadInTime) / this.playbackRate;
         
         this.gameStateManager.setState('game');
         
         // Add hit zone markers
         setTimeout(() => {
-            this.addHitZoneMarkers();
-        }, 100);
-        
-        // Start audio playback
-        setTimeout(async () => {
-            if (this.chartLoader.getAudio()) {
-                try {
-                    await this.chartLoader.playAudio();
-                    this.audioStartTime = performance.now();
-                    console.log('Audio started');
-                } catch (error) {
-                    console.error('Failed to start audio:', error);
-                }
-            } else {
-                // Fallback to demo flow if no audio
-                console.log('No audio loaded, starting demo note flow...');
-                this.startNoteFlow();
+            if (this.isPlaying) {
+                this.addHitZoneMarkers();
             }
-        }, 1000);
+        }, 100);
         
-        this.gameLoop = requestAnimationFrame(() => this.update());
+        this.gameLoop = this.scheduler.requestFrame(() => this.update());
         
-        console.log('Game started!');
+        this.logger.log('Game started!');
+    }
+
+    // Converts the practice options into a section of song time, throws if it is unusable
+    resolvePracticeSection(options) {
+        let start;
+        let end;
+
+        if (options.unit === 'measures') {
+            const measureTimes = this.currentChart.metadata && this.currentChart.metadata.measureTimes;
+            if (!measureTimes) {
+                throw new Error('This chart has no measures, pick the section in seconds instead');
+            }
+            start = measureTimes[options.from - 1];
+            end = options.to < measureTimes.length ? measureTimes[options.to] : this.songDuration;
+            if (start === undefined) {
+                throw new Error(`This chart only has ${measureTimes.length} measures`);
+            }
+        } else {
+            start = options.from * 1000;
+            end = options.to * 1000;
+        }
+
+        start = Math.max(0, start);
+        end = Math.min(end, this.songDuration);
+        if (!(end > start)) {
+            throw new Error('The practice section must end after it starts');
+        }
+
+        return { start, end, loop: options.loop };
+    }
+
+    // Song time the run starts from: 0, or the start of the practice section
+    getRunStart() {
+        return this.practiceSection ? this.practiceSection.start : 0;
     }
 
+    getFirstNoteIndex(time) {
+        const index = this.currentChart.notes.findIndex(note => note.timestamp >= time);
+        return index === -1 ? this.currentChart.notes.length : index;
+    }
+
+    // Rewinds the chart to the start of the lead-in, keeping the clock untouched
+    restartRun() {
+        this.clearAllNotes();
+        this.activeHoldNotes.clear();
+        this.songProgress = 0;
+        this.chartIndex = this.getFirstNoteIndex(this.getRunStart());
+        this.lastNoteSpawn = 0;
+        this.audioStarted = false;
+        if (this.inputSource) {
+            this.inputSource.reset();
+        }
+
+        // Playfield changes from events before the run start still apply to a practice section
+        this.resetEffects();
+        this.eventIndex = 0;
+        const events = this.currentChart.events || [];
+        while (this.eventIndex < events.length && events[this.eventIndex].time < this.getRunStart()) {
+            this.applyChartEvent(events[this.eventIndex++], true);
+        }
+    }
+
+    // Called from the update loop once the lead-in is over, so pausing during the
+    // lead-in also delays the audio
+    async startAudio() {
+        this.audioStarted = true;
+
+        if (this.chartLoader.getAudio()) {
+            try {
+                const runStart = this.getRunStart();
+                await this.chartLoader.playAudio(runStart);
+                this.audioStartTime = this.clock.now();
+                // Re-anchor the song clock to the moment the audio actually started
+                this.startTime = this.audioStartTime - runStart / this.playbackRate;
+                this.logger.log('Audio started');
+            } catch (error) {
+                this.logger.error('Failed to start audio:', error);
+            }
+        } else if (this.currentChart.notes.length === 0) {
+            // Fallback to demo flow if there is no chart to play
+            this.logger.log('No chart loaded, starting demo note flow...');
+            this.startNoteFlow();
+        }
+    }
+
+    // Freezes the song clock and audio. Returns false if there was nothing to pause.
     pauseGame() {
-        this.isPaused = !this.isPaused;
-        
-        if (!this.isPaused && this.isPlaying) {
-            this.gameLoop = requestAnimationFrame(() => this.update());
+        if (!this.isPlaying || this.isPaused) return false;
+
+        // Judge held notes as released at the moment of pausing. Goes through handleInput
+        // so replays record it; autoplay and replays keep their holds and release them on cue.
+        if (!this.inputSource) {
+            const songTime = this.getSongTime();
+            for (const lane of [...this.activeHoldNotes.keys()]) {
+                this.handleInput(lane, 'release', songTime);
+            }
+        }
+
+        this.isPaused = true;
+        this.pausedSongTime = this.getSongTime();
+
+        if (this.gameLoop) {
+            this.scheduler.cancelFrame(this.gameLoop);
+            this.gameLoop = null;
+        }
+
+        if (this.noteSpawnInterval) {
+            clearInterval(this.noteSpawnInterval);
+            this.noteSpawnInterval = null;
         }
+
+        this.chartLoader.pauseAudio();
+        this.logger.log('Game paused at song time', this.pausedSongTime);
+        return true;
+    }
+
+    // Counts down, then continues from the frozen song time.
+    // Resolves true once play has resumed, false if the countdown was cancelled.
+    resumeGame(countdownSeconds = 3) {
+        if (!this.isPlaying || !this.isPaused || this.isResuming) {
+            return Promise.resolve(false);
+        }
+
+        this.isResuming = true;
+
+        return new Promise(resolve => {
+            this.resumeCancel = () => {
+                this.isResuming = false;
+                this.gameStateManager.uiManager.showCountdown(0);
+                resolve(false);
+            };
+
+            const tick = async (remaining) => {
+                if (!this.isResuming) return;
+
+                this.gameStateManager.uiManager.showCountdown(remaining);
+
+                if (remaining > 0) {
+                    this.resumeTimeout = setTimeout(() => tick(remaining - 1), 1000);
+                    return;
+                }
+
+                this.isResuming = false;
+                this.resumeCancel = null;
+                this.isPaused = false;
+                this.startTime = this.clock.now() - this.pausedSongTime / this.playbackRate;
+
+                if (this.audioStarted) {
+                    if (this.chartLoader.getAudio()) {
+                        try {
+                            await this.chartLoader.resumeAudio();
+                            // Re-anchor to where the audio actually is
+                            this.startTime = this.clock.now() - this.chartLoader.getAudioTime() / this.playbackRate;
+                        } catch (error) {
+                            this.logger.error('Failed to resume audio:', error);
+                        }
+                    } else if (this.currentChart.notes.length === 0) {
+                        this.startNoteFlow();
+                    }
+                }
+
+                this.gameLoop = this.scheduler.requestFrame(() => this.update());
+                this.logger.log('Game resumed at song time', this.getSongTime());
+                resolve(true);
+            };
+
+            tick(countdownSeconds);
+        });
+    }
+
+    cancelResume() {
+        if (!this.isResuming) return;
+
+        clearTimeout(this.resumeTimeout);
+        this.resumeTimeout = null;
+        this.resumeCancel();
+        this.resumeCancel = null;
+    }
+
+    // Tear down the current run without going to the results screen
+    quitGame() {
+        this.cancelResume();
+        this.resetPlayfield();
     }
 
     stopGame() {
+        this.resetPlayfield();
+        this.gameStateManager.endGame();
+    }
+
+    resetPlayfield() {
         this.isPlaying = false;
         this.isPaused = false;
         
         if (this.gameLoop) {
-            cancelAnimationFrame(this.gameLoop);
+            this.scheduler.cancelFrame(this.gameLoop);
             this.gameLoop = null;
         }
         
@@ -140,35 +387,248 @@ class GameEngine {
         
         this.clearAllNotes();
         this.activeHoldNotes.clear();
+        this.removeHitZoneMarkers();
+        this.resetEffects();
         
         // Stop audio
         if (this.chartLoader) {
             this.chartLoader.stopAudio();
         }
-        
-        this.gameStateManager.endGame();
     }
 
     update() {
         if (!this.isPlaying || this.isPaused) return;
 
-        const currentTime = performance.now();
-        const gameTime = currentTime - this.startTime;
+        this.step(this.getSongTime());
+
+        if (this.isPlaying) {
+            this.gameLoop = this.scheduler.requestFrame(() => this.update());
+        }
+    }
+
+    // Advances gameplay to gameTime: spawning, input sources, hold scoring and misses
+    step(gameTime) {
+        if (!this.audioStarted && gameTime >= this.getRunStart() && !this.isSeeking) {
+            this.startAudio();
+        }
         
-        this.songProgress = (gameTime / this.songDuration) * 100;
+        this.songProgress = (Math.max(0, gameTime) / this.songDuration) * 100;
         this.gameStateManager.updateProgress(this.songProgress);
 
-        this.spawnNotes(gameTime);
-        this.updateNotes();
-        this.updateHoldNotes(gameTime);
-        this.checkMissedNotes();
+        this.runChartEvents(this.getVisualTime(gameTime));
+        this.spawnNotes(this.getVisualTime(gameTime));
+        if (this.inputSource) {
+            this.inputSource.update(gameTime);
+        }
+        this.updateNotes(this.getVisualTime(gameTime));
+        this.updateHoldNotes(this.getJudgeTime(gameTime));
+        this.checkMissedNotes(this.getJudgeTime(gameTime));
+
+        if (!this.isSeeking) {
+            this.gameStateManager.uiManager.render();
+        }
 
-        if (this.songProgress >= 100) {
+        if (this.gameStateManager.hasFailed()) {
+            this.stopGame();
+        } else if (this.practiceSection && gameTime >= this.practiceSection.end + this.judgmentWindows.miss) {
+            this.finishPracticePass();
+        } else if (this.songProgress >= 100) {
+            this.stopGame();
+        }
+    }
+
+    // End of the practice section: go round again, or finish like the end of the song
+    finishPracticePass() {
+        if (!this.practiceSection.loop) {
             this.stopGame();
             return;
         }
 
-        this.gameLoop = requestAnimationFrame(() => this.update());
+        this.restartRun();
+        this.chartLoader.pauseAudio();
+        this.startTime = this.clock.now() - (this.practiceSection.start - this.leadInTime) / this.playbackRate;
+        this.logger.log('Looping practice section');
+    }
+
+    // Jumps to targetTime (song ms) by re-simulating the run from its start (or from
+    // now, when seeking forward). Only runs driven by an input source can be re-simulated.
+    seekTo(targetTime) {
+        if (!this.isPlaying || !this.inputSource) return false;
+
+        let time = this.isPaused ? this.pausedSongTime : this.getSongTime();
+        const runStart = this.getRunStart();
+        targetTime = Math.max(runStart - this.leadInTime, Math.min(targetTime, this.songDuration));
+
+        if (targetTime < time) {
+            this.gameStateManager.resetGame();
+            this.restartRun();
+            time = runStart - this.leadInTime;
+        }
+
+        this.isSeeking = true;
+        while (time < targetTime && this.isPlaying) {
+            time = Math.min(time + this.seekFrameInterval, targetTime);
+            this.step(time);
+        }
+        this.isSeeking = false;
+
+        // Seeking to the end finishes the run
+        if (!this.isPlaying) return true;
+
+        if (this.isPaused) {
+            this.pausedSongTime = targetTime;
+        } else {
+            this.startTime = this.clock.now() - targetTime / this.playbackRate;
+        }
+
+        // Line the audio up with the new position
+        this.audioStarted = targetTime >= runStart;
+        if (this.chartLoader.getAudio()) {
+            this.chartLoader.seekAudio(Math.max(0, targetTime));
+            if (this.audioStarted && !this.isPaused) {
+                this.chartLoader.resumeAudio().catch(error => this.logger.error('Failed to resume audio:', error));
+            } else {
+                this.chartLoader.pauseAudio();
+            }
+        }
+
+        this.gameStateManager.uiManager.render();
+        this.logger.log('Seeked to song time', targetTime);
+        return true;
+    }
+
+    // Runs the chart events due by gameTime (visual time, they change what's on screen)
+    runChartEvents(gameTime) {
+        const events = (this.currentChart && this.currentChart.events) || [];
+
+        while (this.eventIndex < events.length && events[this.eventIndex].time <= gameTime) {
+            this.applyChartEvent(events[this.eventIndex++], this.isSeeking);
+        }
+    }
+
+    // silent skips the momentary effects (flash, shake) when catching up on past events
+    applyChartEvent(event, silent = false) {
+        const uiManager = this.gameStateManager.uiManager;
+
+        switch (event.type) {
+            case 'scrollSpeed':
+                // Notes already on screen jump to their place at the new speed
+                this.travelTime = this.playerTravelTime / (event.multiplier || 1);
+                break;
+            case 'flash':
+                if (!silent) uiManager.flashScreen(event.color, event.duration);
+                break;
+            case 'shake':
+                if (!silent) uiManager.addScreenShake(event.intensity || 1);
+                break;
+            case 'swapLanes':
+                this.lanesSwapped = event.swapped !== undefined ? event.swapped : !this.lanesSwapped;
+                uiManager.setLanesSwapped(this.lanesSwapped);
+                break;
+            case 'hideLanes':
+                this.hiddenLanes = new Set(event.lanes || []);
+                uiManager.setHiddenLanes([...this.hiddenLanes]);
+                break;
+            case 'background':
+                uiManager.setBackground(event.color, event.image);
+                break;
+            case 'reset':
+                this.resetEffects();
+                break;
+            default:
+                this.logger.warn('Unknown chart event:', event.type);
+                return;
+        }
+
+        this.logger.log(`Chart event ${event.type} at`, event.time);
+    }
+
+    // Back to the player's scroll speed and an untouched playfield
+    resetEffects() {
+        const uiManager = this.gameStateManager.uiManager;
+
+        this.travelTime = this.playerTravelTime;
+        this.lanesSwapped = false;
+        this.hiddenLanes.clear();
+        uiManager.setLanesSwapped(false);
+        uiManager.setHiddenLanes([]);
+        uiManager.setBackground(null, null);
+    }
+
+    // Changes how fast the song plays (1 = normal), keeping the current position
+    setPlaybackRate(rate) {
+        if (this.isPlaying && !this.isPaused) {
+            const songTime = this.getSongTime();
+            this.playbackRate = rate;
+            this.startTime = this.clock.now() - songTime / rate;
+        } else {
+            this.playbackRate = rate;
+        }
+
+        this.chartLoader.setPlaybackRate(rate);
+        this.logger.log('Playback rate set to', rate);
+    }
+
+    // Current position in the song (ms), the single clock all notes are placed against.
+    // Pass an event timestamp to convert it to song time.
+    getSongTime(now = this.clock.now()) {
+        return (now - this.startTime) * this.playbackRate;
+    }
+
+    // Global player calibration, separate from any chart's own offset
+    applyOffsets(settings) {
+        this.audioOffset = settings.get('audioOffset') || 0;
+        this.visualOffset = settings.get('visualOffset') || 0;
+        // Only a replay's settings carry the rate it was recorded at
+        this.judgeRate = settings.get('playbackRate') || null;
+        this.logger.log(`Applied offsets: audio ${this.audioOffset}ms, visual ${this.visualOffset}ms`);
+    }
+
+    // A fixed scroll duration (ms) wins over the hi-speed multiplier
+    applyScrollSpeed(settings) {
+        const scrollDuration = settings.get('scrollDuration');
+        this.travelTime = scrollDuration > 0 ? scrollDuration : this.baseTravelTime / settings.get('scrollSpeed');
+        this.playerTravelTime = this.travelTime;
+        this.logger.log(`Scroll speed: notes on screen for ${Math.round(this.travelTime)}ms`);
+    }
+
+    // When a note due at hitTime has to appear at the right edge
+    getSpawnTime(hitTime) {
+        return hitTime - this.travelTime;
+    }
+
+    // Song time as the player hears it, used for all judgments. The offsets are real-time
+    // latencies, so they cover more song time when the song plays faster
+    getJudgeTime(songTime) {
+        return songTime - this.audioOffset * this.getJudgeRate();
+    }
+
+    // A replay is judged at the rate it was recorded at, the speed it is watched at
+    // only changes how fast it plays
+    getJudgeRate() {
+        return this.judgeRate || this.playbackRate;
+    }
+
+    // Song time the display should show, ahead of the clock by the display latency
+    getVisualTime(songTime) {
+        return songTime + this.visualOffset * this.playbackRate;
+    }
+
+    // Hit zone is at 15% from left edge of screen
+    getHitZoneX() {
+        return this.gameStateManager.uiManager.getViewportWidth() * 0.15;
+    }
+
+    // Notes spawn just past the right edge of the screen
+    getSpawnX() {
+        return this.gameStateManager.uiManager.getViewportWidth() + 40;
+    }
+
+    // Note x position for a given song time: reaches the hit zone exactly at hitTime
+    getNotePosition(hitTime, songTime) {
+        const hitZoneX = this.getHitZoneX();
+        const progress = (hitTime - songTime) / this.travelTime;
+        return hitZoneX + progress * (this.getSpawnX() - hitZoneX);
     }
 
     spawnNotes(gameTime) {
@@ -178,10 +638,13 @@ class GameEngine {
 
         while (this.chartIndex < this.currentChart.notes.length) {
             const chartNote = this.currentChart.notes[this.chartIndex];
+            if (this.practiceSection && chartNote.timestamp > this.practiceSection.end) {
+                break;
+            }
             
-            if (chartNote.spawnTime <= gameTime) {
+            if (this.getSpawnTime(chartNote.timestamp) <= gameTime) {
                 this.createNote(chartNote.lane, chartNote.timestamp, chartNote.type, chartNote.duration);
-                console.log(`Spawned ${chartNote.type} ${chartNote.lane} note at`, gameTime);
+                this.logger.log(`Spawned ${chartNote.type} ${chartNote.lane} note at`, gameTime);
                 this.chartIndex++;
             } else {
                 break;
@@ -190,128 +653,269 @@ class GameEngine {
     }
 
     createNote(lane, hitTime, type = 'normal', duration = 0) {
-        console.log(`Creating ${type} note for ${lane} lane at hit time ${hitTime}`);
+        this.logger.log(`Creating ${type} note for ${lane} lane at hit time ${hitTime}`);
         const noteElement = this.gameStateManager.uiManager.createNote(lane, hitTime, type, duration);
         
         if (noteElement) {
-            console.log(`Note element created successfully:`, noteElement);
+            this.logger.log(`Note element created successfully:`, noteElement);
             const note = {
                 element: noteElement,
                 lane: lane,
                 hitTime: hitTime,
                 type: type,
                 duration: duration,
-                spawnTime: performance.now() - this.startTime,
+                spawnTime: this.getSongTime(),
                 hit: false,
                 isHolding: false,
                 holdStartTime: null,
                 holdScore: 0,
-                screenPosition: window.innerWidth // Start at right edge of screen
+                holdTicks: 0,
+                mashHits: 0,
+                pressedAt: null, // Judge time a double note was pressed, while it waits for its partner
+                partner: null,
+                opacity: 1,
+                screenPosition: 0
             };
+
+            // The two halves of a double note are the double notes in both lanes at the same time
+            if (type === 'double') {
+                note.partner = this.notes.find(other =>
+                    other.type === 'double' && other.hitTime === hitTime && other.lane !== lane && !other.partner
+                ) || null;
+                if (note.partner) {
+                    note.partner.partner = note;
+                }
+            }
             
+            this.positionNote(note, this.getVisualTime(this.getSongTime()));
             this.notes.push(note);
-            console.log(`Total notes in array: ${this.notes.length}`);
-            
-            // Start the sliding animation for this note
-            this.startNoteSliding(note);
+            this.logger.log(`Total notes in array: ${this.notes.length}`);
         } else {
-            console.error(`Failed to create note element for ${lane} lane`);
+            this.logger.error(`Failed to create note element for ${lane} lane`);
         }
     }
 
-    startNoteSliding(note) {
-        // BPM-based sliding animation
-        const slideInterval = setInterval(() => {
-            if (note.hit || !note.element.parentElement) {
-                clearInterval(slideInterval);
-                return;
+    updateNotes(gameTime) {
+        this.notes = this.notes.filter(note => {
+            // Hit notes stay where they were hit until their effect removes them
+            if (note.hit && !note.isHolding) {
+                return false;
             }
-            
-            // Move note left by 5 pixels each frame
-            note.screenPosition -= 5;
-            note.element.style.right = (window.innerWidth - note.screenPosition) + 'px';
-            
-            // Calculate hit zone position (left 15% of screen where hit zones are)
-            const hitZonePosition = window.innerWidth * 0.15;
-            
-            // Check if note is in hit zone for potential hits
-            if (Math.abs(note.screenPosition - hitZonePosition) < 100) {
-                // Note is near hit zone
-                console.log(`Note in hit zone area: position=${note.screenPosition}, hitZone=${hitZonePosition}`);
-            }
-            
-            // Remove when it goes off screen
-            if (note.screenPosition < -100) {
-                if (!note.hit) {
-                    this.gameStateManager.updateScore(0, 'miss');
-                }
-                note.element.remove();
-                clearInterval(slideInterval);
-                // Remove from notes array
-                this.notes = this.notes.filter(n => n !== note);
-                console.log('Note removed from screen');
+
+            const tailPosition = this.positionNote(note, gameTime);
+
+            // Remove when it goes off screen (misses are counted in checkMissedNotes)
+            if (tailPosition < -100) {
+                this.gameStateManager.uiManager.removeNote(note.element);
+                return false;
             }
-        }, 16); // ~60fps
+
+            return true;
+        });
+    }
+
+    // Moves a note to where it belongs at gameTime and returns the x of its far end.
+    // Hold notes stretch from the head to the tail at hitTime + duration; while held,
+    // the head stays on the hit zone and the body shrinks as the tail comes in.
+    // Mash notes stop on the hit zone for their duration.
+    positionNote(note, gameTime) {
+        const uiManager = this.gameStateManager.uiManager;
+        note.screenPosition = this.getNotePosition(note.hitTime, gameTime);
+
+        // Hidden lanes hide their notes, ghost notes fade on their own
+        let opacity = note.type === 'ghost' ? this.getGhostOpacity(note, gameTime) : 1;
+        if (this.hiddenLanes.has(note.lane)) {
+            opacity = 0;
+        }
+        if (opacity !== note.opacity) {
+            note.opacity = opacity;
+            uiManager.setNoteOpacity(note.element, opacity);
+        }
+
+        if (note.type === 'mash' && gameTime >= note.hitTime) {
+            uiManager.setNotePosition(note.element, this.getHitZoneX());
+            return this.getHitZoneX();
+        }
+
+        if (note.type !== 'hold') {
+            uiManager.setNotePosition(note.element, note.screenPosition);
+            return note.screenPosition;
+        }
+
+        const headPosition = note.isHolding ? this.getHitZoneX() : note.screenPosition;
+        const tailPosition = Math.max(headPosition, this.getNotePosition(note.hitTime + note.duration, gameTime));
+        uiManager.setNotePosition(note.element, headPosition, tailPosition);
+        return tailPosition;
     }
 
-    updateNotes() {
-        // Notes are now handled by their individual sliding animations
-        // This method can be simplified or removed
+    // 1 while a ghost note is far out, fading to 0 between ghostFadeStart and ghostFadeEnd
+    getGhostOpacity(note, gameTime) {
+        const travelLeft = (note.hitTime - gameTime) / this.travelTime;
+        const opacity = (travelLeft - this.ghostFadeEnd) / (this.ghostFadeStart - this.ghostFadeEnd);
+        return Math.max(0, Math.min(1, opacity));
     }
 
     updateHoldNotes(gameTime) {
         // Update scoring for all currently held notes
         for (const [lane, holdNote] of this.activeHoldNotes) {
-            if (holdNote.isHolding && holdNote.holdStartTime) {
-                const holdDuration = gameTime - holdNote.holdStartTime;
-                const maxHoldTime = holdNote.duration;
-                
-                // Calculate progressive points (10 points per 100ms of holding)
-                const progressivePoints = Math.floor(holdDuration / 100) * 10;
-                const newScore = progressivePoints - holdNote.holdScore;
+            if (holdNote.isHolding) {
+                this.scoreHoldTicks(holdNote, gameTime);
                 
-                if (newScore > 0) {
-                    holdNote.holdScore = progressivePoints;
-                    this.gameStateManager.updateScore(newScore, 'hold');
-                }
-                
-                // Check if hold duration is complete
-                if (holdDuration >= maxHoldTime) {
+                // Held all the way to the tail
+                if (gameTime >= holdNote.hitTime + holdNote.duration) {
                     this.completeHoldNote(holdNote, 'perfect');
                 }
                 
                 // Update visual progress
-                this.gameStateManager.uiManager.updateHoldProgress(holdNote, holdDuration / maxHoldTime);
+                this.gameStateManager.uiManager.updateHoldProgress(holdNote, (gameTime - holdNote.hitTime) / holdNote.duration);
+            }
+        }
+    }
+
+    // Segments { time, beat, bpm } of the chart's tempo map, beat 0 at tempo.offset. A stop is
+    // a segment with bpm 0, the beat stands still until the tempo segment after it
+    buildBeatGrid(tempo) {
+        if (!(tempo.bpm > 0)) return null;
+
+        // Changes go before stops at the same time, the song resumes at the new tempo
+        const points = [
+            ...(tempo.changes || []).map(change => ({ time: change.time, bpm: change.bpm })),
+            ...(tempo.stops || []).map(stop => ({ time: stop.time, duration: stop.duration }))
+        ].sort((a, b) => a.time - b.time || (a.duration !== undefined) - (b.duration !== undefined));
+
+        const grid = [{ time: tempo.offset || 0, beat: 0, bpm: tempo.bpm }];
+        let bpm = tempo.bpm;
+        points.forEach(point => {
+            const beat = this.getBeatAt(point.time, grid);
+            if (point.duration !== undefined) {
+                grid.push({ time: point.time, beat, bpm: 0 }, { time: point.time + point.duration, beat, bpm });
+            } else {
+                bpm = point.bpm;
+                grid.push({ time: point.time, beat, bpm });
             }
+        });
+        return grid;
+    }
+
+    // Beat at a song time; before the first segment the start tempo runs backwards
+    getBeatAt(time, grid = this.beatGrid) {
+        let segment = grid[0];
+        for (const next of grid) {
+            if (next.time > time) break;
+            segment = next;
         }
+        return segment.beat + (time - segment.time) * segment.bpm / 60000;
     }
 
-    checkMissedNotes() {
-        // This is now handled in updateNotes() method
+    // Index of the last hold tick at or before a song time. Ticks follow the beat grid
+    // through tempo changes and stops; charts without a BPM (note_events) have no grid,
+    // so their holds tick at a fixed step instead
+    getHoldTickIndex(time) {
+        // Times computed from the tempo map land a hair off the tick they sit on
+        const tolerance = 1e-6;
+        if (this.beatGrid) {
+            return Math.floor(this.getBeatAt(time) * this.holdTicksPerBeat + tolerance);
+        }
+        return Math.floor(time / this.holdTickInterval + tolerance);
     }
 
-    handleInput(lane, action = 'press') {
+    // Scores the hold ticks between the head and min(time, tail). Ticks sit on a fixed
+    // grid, so the count depends only on how long the note was held.
+    scoreHoldTicks(holdNote, time) {
+        const end = Math.min(time, holdNote.hitTime + holdNote.duration);
+        const ticks = Math.max(0, this.getHoldTickIndex(end) - this.getHoldTickIndex(holdNote.hitTime));
+
+        while (holdNote.holdTicks < ticks) {
+            holdNote.holdTicks++;
+            holdNote.holdScore += this.holdTickPoints;
+            this.gameStateManager.updateScore(this.holdTickPoints, 'hold');
+        }
+    }
+
+    checkMissedNotes(gameTime) {
+        // A note is missed once it is further past its hitTime than the good window
+        this.notes.forEach(note => {
+            if (note.hit || note.missed) return;
+
+            if (note.type === 'hammer') {
+                // Letting a hammer go by is the whole point, there is nothing to judge
+            } else if (note.type === 'mash') {
+                if (gameTime > note.hitTime + note.duration) {
+                    this.finishMashNote(note);
+                }
+            } else if (note.type === 'double') {
+                // Pressing one half and not the other in time loses both
+                const waitedTooLong = note.pressedAt !== null && gameTime - note.pressedAt > this.doubleWindow;
+                if (waitedTooLong || gameTime - note.hitTime > this.judgmentWindows.good) {
+                    this.missDoubleNote(note);
+                }
+            } else if (gameTime - note.hitTime > this.judgmentWindows.good) {
+                note.missed = true;
+                this.gameStateManager.updateScore(0, 'miss');
+            }
+        });
+    }
+
+    // inputTime is the song time (ms) the input happened at
+    handleInput(lane, action = 'press', inputTime = this.getSongTime()) {
         if (!this.isPlaying || this.isPaused) return;
 
-        console.log(`Input received for lane: ${lane}, action: ${action}`);
+        this.logger.log(`Input received for lane: ${lane}, action: ${action}, time: ${inputTime}`);
+        if (this.inputRecorder) {
+            this.inputRecorder.record(lane, action, inputTime);
+        }
+        const judgeTime = this.getJudgeTime(inputTime);
         
         if (action === 'press') {
-            this.handleKeyPress(lane);
+            this.handleKeyPress(lane, judgeTime);
         } else if (action === 'release') {
-            this.handleKeyRelease(lane);
+            this.handleKeyRelease(lane, judgeTime);
         }
     }
 
-    handleKeyPress(lane) {
-        const hitNote = this.findHittableNote(lane);
+    handleKeyPress(lane, inputTime) {
+        // A mash note on the hit zone takes every press in its lane
+        const mashNote = this.findActiveMashNote(lane, inputTime);
+        if (mashNote) {
+            this.hitMashNote(mashNote);
+            return;
+        }
+
+        const hitNote = this.findHittableNote(lane, inputTime);
         
         if (hitNote) {
-            const judgment = this.calculateJudgment(hitNote);
+            const judgment = this.calculateJudgment(hitNote, inputTime);
             
-            if (hitNote.type === 'hold') {
+            if (hitNote.type === 'hammer') {
+                this.hitHammerNote(hitNote);
+            } else if (hitNote.type === 'double') {
+                if (judgment === 'miss') {
+                    this.missDoubleNote(hitNote);
+                } else {
+                    this.pressDoubleNote(hitNote, judgment, inputTime);
+                }
+            } else if (judgment === 'miss') {
+                // Pressed early, inside the miss window but outside good: the note is lost
+                hitNote.hit = true;
+                this.gameStateManager.updateScore(0, 'miss');
+                this.gameStateManager.uiManager.removeNote(hitNote.element);
+            } else if (hitNote.type === 'hold') {
+                // A hold still running in this lane gives way to the new one. If the chart starts
+                // the new hold before the running one ends, the running one is complete here;
+                // otherwise this press let go of it early and it is judged as a release.
+                const previousHold = this.activeHoldNotes.get(lane);
+                if (previousHold && previousHold.isHolding) {
+                    if (hitNote.hitTime < previousHold.hitTime + previousHold.duration) {
+                        this.scoreHoldTicks(previousHold, inputTime);
+                        this.completeHoldNote(previousHold, 'perfect');
+                    } else {
+                        this.handleKeyRelease(lane, inputTime);
+                    }
+                }
+
                 // Start holding
                 hitNote.isHolding = true;
-                hitNote.holdStartTime = performance.now() - this.startTime;
+                hitNote.holdStartTime = inputTime;
                 hitNote.hit = true;
                 this.activeHoldNotes.set(lane, hitNote);
                 
@@ -319,7 +923,7 @@ class GameEngine {
                 this.gameStateManager.updateScore(initialScore, judgment);
                 this.gameStateManager.uiManager.startHoldEffect(hitNote);
                 
-                console.log(`Started holding ${lane} note with judgment:`, judgment);
+                this.logger.log(`Started holding ${lane} note with judgment:`, judgment);
             } else {
                 // Regular note hit
                 const score = this.calculateScore(judgment);
@@ -330,48 +934,27 @@ class GameEngine {
                 if (judgment === 'perfect') {
                     this.gameStateManager.uiManager.addScreenShake(0.5);
                 }
-                console.log('Hit regular note with judgment:', judgment, 'score:', score);
-            }
-        } else {
-            // Only register miss if there are notes in the lane that could have been hit
-            const nearbyNotes = this.notes.filter(note => 
-                note.lane === lane && 
-                !note.hit && 
-                Math.abs(note.screenPosition - window.innerWidth * 0.15) < 100
-            );
-            
-            if (nearbyNotes.length > 0) {
-                this.gameStateManager.updateScore(0, 'miss');
+                this.logger.log('Hit regular note with judgment:', judgment, 'score:', score);
             }
         }
     }
 
-    handleKeyRelease(lane) {
+    handleKeyRelease(lane, inputTime) {
         const holdNote = this.activeHoldNotes.get(lane);
         
         if (holdNote && holdNote.isHolding) {
-            const currentTime = performance.now() - this.startTime;
-            const holdDuration = currentTime - holdNote.holdStartTime;
-            const maxHoldTime = holdNote.duration;
+            this.scoreHoldTicks(holdNote, inputTime);
             
-            if (holdDuration >= maxHoldTime) {
-                // Successfully completed the hold
-                this.completeHoldNote(holdNote, 'perfect');
-            } else {
-                // Released too early
-                const completionPercentage = holdDuration / maxHoldTime;
-                let judgment = 'miss';
-                
-                if (completionPercentage >= 0.9) judgment = 'great';
-                else if (completionPercentage >= 0.7) judgment = 'good';
-                
-                this.completeHoldNote(holdNote, judgment);
-            }
+            // The release is judged against the tail with the same windows as a tap;
+            // letting go earlier than the good window drops the hold
+            const tailTime = holdNote.hitTime + holdNote.duration;
+            const judgment = inputTime >= tailTime ? 'perfect' : this.calculateJudgment({ hitTime: tailTime }, inputTime);
+            this.completeHoldNote(holdNote, judgment);
         }
     }
 
     completeHoldNote(holdNote, judgment) {
-        console.log(`Completed hold note with judgment: ${judgment}`);
+        this.logger.log(`Completed hold note with judgment: ${judgment}`);
         
         // Bonus points for successful completion
         if (judgment === 'perfect') {
@@ -383,6 +966,8 @@ class GameEngine {
         } else if (judgment === 'good') {
             const bonusScore = 100;
             this.gameStateManager.updateScore(bonusScore, 'good');
+        } else {
+            this.gameStateManager.updateScore(0, 'miss');
         }
         
         holdNote.isHolding = false;
@@ -394,25 +979,101 @@ class GameEngine {
         }
     }
 
-    findHittableNote(lane) {
+    // Mash notes can be hit from the good window before they arrive until they end
+    findActiveMashNote(lane, inputTime) {
+        return this.notes.find(note =>
+            note.type === 'mash' &&
+            note.lane === lane &&
+            !note.hit &&
+            !note.missed &&
+            inputTime >= note.hitTime - this.judgmentWindows.good &&
+            inputTime <= note.hitTime + note.duration
+        ) || null;
+    }
+
+    hitMashNote(mashNote) {
+        mashNote.mashHits++;
+        this.gameStateManager.updateScore(this.mashHitPoints, 'mash');
+        this.gameStateManager.uiManager.updateMashCount(mashNote, mashNote.mashHits);
+    }
+
+    // A mash note that was hit at least once leaves quietly, one that never was is a miss
+    finishMashNote(mashNote) {
+        if (mashNote.mashHits > 0) {
+            mashNote.hit = true;
+        } else {
+            mashNote.missed = true;
+            this.gameStateManager.updateScore(0, 'miss');
+        }
+        this.gameStateManager.uiManager.removeNote(mashNote.element);
+        this.logger.log(`Mash note finished with ${mashNote.mashHits} hits`);
+    }
+
+    // Neither half of a double note is scored until the other half has been pressed
+    pressDoubleNote(note, judgment, inputTime) {
+        note.pressedAt = inputTime;
+        note.pressJudgment = judgment;
+
+        const partner = note.partner;
+        if (partner && partner.pressedAt === null) return;
+
+        if (partner && inputTime - partner.pressedAt > this.doubleWindow) {
+            this.missDoubleNote(note);
+            return;
+        }
+
+        [note, partner].filter(Boolean).forEach(half => {
+            half.hit = true;
+            this.gameStateManager.updateScore(this.calculateScore(half.pressJudgment), half.pressJudgment);
+            this.gameStateManager.uiManager.removeNote(half.element);
+        });
+        this.gameStateManager.uiManager.addScreenShake(0.8);
+    }
+
+    missDoubleNote(note) {
+        [note, note.partner].filter(Boolean).forEach(half => {
+            if (half.hit || half.missed) return;
+
+            half.missed = true;
+            this.gameStateManager.updateScore(0, 'miss');
+            this.gameStateManager.uiManager.removeNote(half.element);
+        });
+    }
+
+    // Hammers are obstacles: hitting one breaks the combo and costs health
+    hitHammerNote(hammerNote) {
+        hammerNote.hit = true;
+        this.gameStateManager.updateScore(0, 'hammer');
+        this.gameStateManager.uiManager.removeNote(hammerNote.element);
+        this.gameStateManager.uiManager.addScreenShake(1.5);
+        this.logger.log('Hit a hammer note');
+    }
+
+    findHittableNote(lane, inputTime) {
         const laneNotes = this.notes.filter(note => 
             note.lane === lane && 
+            note.type !== 'mash' &&
             !note.hit && 
-            note.element && 
-            note.element.parentElement
+            !note.missed &&
+            note.pressedAt === null
         );
 
         if (laneNotes.length === 0) return null;
 
-        // Hit zone is at 15% from left edge of screen
-        const hitZonePosition = window.innerWidth * 0.15;
         let closestNote = null;
-        let closestDistance = Infinity;
+        let closestOffset = Infinity;
 
         laneNotes.forEach(note => {
-            const distance = Math.abs(note.screenPosition - hitZonePosition);
-            if (distance < closestDistance && distance < 100) { // Within hit window (100px)
-                closestDistance = distance;
+            // Notes more than the good window late are already missed, even if the
+            // frame that marks them hasn't run yet, so judgments don't depend on frame rate
+            if (inputTime - note.hitTime > this.judgmentWindows.good) return;
+
+            const offset = Math.abs(inputTime - note.hitTime);
+            // Only presses close enough to count as a hit land on a hammer
+            if (note.type === 'hammer' && offset > this.judgmentWindows.good) return;
+
+            if (offset < closestOffset && offset <= this.judgmentWindows.miss) {
+                closestOffset = offset;
                 closestNote = note;
             }
         });
@@ -420,13 +1081,12 @@ class GameEngine {
         return closestNote;
     }
 
-    calculateJudgment(note) {
-        const hitZonePosition = window.innerWidth * 0.15;
-        const distance = Math.abs(note.screenPosition - hitZonePosition);
+    calculateJudgment(note, inputTime) {
+        const offset = Math.abs(inputTime - note.hitTime);
         
-        if (distance <= 30) return 'perfect';
-        if (distance <= 60) return 'great';
-        if (distance <= 90) return 'good';
+        if (offset <= this.judgmentWindows.perfect) return 'perfect';
+        if (offset <= this.judgmentWindows.great) return 'great';
+        if (offset <= this.judgmentWindows.good) return 'good';
         return 'miss';
     }
 
@@ -463,7 +1123,7 @@ class GameEngine {
     }
 
     createSimpleSlider() {
-        console.log('Creating simple sliding red box...');
+        this.logger.log('Creating simple sliding red box...');
         
         // Create a simple red box
         const slider = document.createElement('div');
@@ -478,7 +1138,7 @@ class GameEngine {
         slider.style.borderRadius = '10px';
         
         document.body.appendChild(slider);
-        console.log('Red box added to page');
+        this.logger.log('Red box added to page');
         
         // Animate it sliding left
         let position = window.innerWidth; // Start at right edge
@@ -490,59 +1150,51 @@ class GameEngine {
             if (position < -100) {
                 slider.remove();
                 clearInterval(slideInterval);
-                console.log('Red box removed');
+                this.logger.log('Red box removed');
             }
         }, 16); // ~60fps
         
-        console.log('Started sliding animation');
+        this.logger.log('Started sliding animation');
+    }
+
+    // Gives every lane its keys and builds the lanes on screen
+    setupLanes(lanes) {
+        this.lanes = lanes;
+        this.laneKeys = this.assignLaneKeys(lanes);
+        this.gameStateManager.uiManager.setupLanes(lanes, this.laneKeys);
+    }
+
+    // Two lanes keep d/f and j/k; one lane takes all of them, three add space in the
+    // middle, four are d f j k, and more lanes spread out from the home row
+    assignLaneKeys(lanes) {
+        const layouts = {
+            1: [['d', 'f', 'j', 'k', ' ']],
+            2: [['d', 'f'], ['j', 'k']],
+            3: [['d', 'f'], [' '], ['j', 'k']],
+            4: [['d'], ['f'], ['j'], ['k']]
+        };
+        const row = ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';'];
+        const first = Math.max(0, Math.floor((row.length - lanes.length) / 2));
+        const keys = layouts[lanes.length] || row.slice(first, first + lanes.length).map(key => [key]);
+
+        const laneKeys = {};
+        lanes.forEach((lane, index) => {
+            laneKeys[lane] = keys[index] || [];
+        });
+        return laneKeys;
+    }
+
+    // Lane played by a keyboard key (lower case), null if no lane has it
+    getLaneForKey(key) {
+        return this.lanes.find(lane => this.laneKeys[lane].includes(key)) || null;
     }
 
     addHitZoneMarkers() {
-        console.log('Adding hit zone markers...');
-        
-        // Get lane positions
-        const topLane = document.getElementById('top-lane');
-        const bottomLane = document.getElementById('bottom-lane');
-        
-        if (topLane && bottomLane) {
-            const topRect = topLane.getBoundingClientRect();
-            const bottomRect = bottomLane.getBoundingClientRect();
-            
-            // Hit zone position (15% from left edge of screen)
-            const hitZoneX = window.innerWidth * 0.15;
-            
-            // Create top lane hit marker
-            const topMarker = document.createElement('div');
-            topMarker.style.position = 'fixed';
-            topMarker.style.left = (hitZoneX - 40) + 'px'; // Center the 80px marker
-            topMarker.style.top = (topRect.top + topRect.height/2 - 40) + 'px';
-            topMarker.style.width = '80px';
-            topMarker.style.height = '80px';
-            topMarker.style.background = 'rgba(255, 20, 147, 0.6)'; // Pink with transparency
-            topMarker.style.border = '3px solid rgba(255, 20, 147, 1)';
-            topMarker.style.borderRadius = '50%';
-            topMarker.style.zIndex = '500';
-            topMarker.style.boxShadow = '0 0 20px rgba(255, 20, 147, 0.8)';
-            topMarker.innerHTML = '<div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); color: white; font-size: 1.2rem; font-weight: bold;">HIT</div>';
-            document.body.appendChild(topMarker);
-            
-            // Create bottom lane hit marker
-            const bottomMarker = document.createElement('div');
-            bottomMarker.style.position = 'fixed';
-            bottomMarker.style.left = (hitZoneX - 40) + 'px';
-            bottomMarker.style.top = (bottomRect.top + bottomRect.height/2 - 40) + 'px';
-            bottomMarker.style.width = '80px';
-            bottomMarker.style.height = '80px';
-            bottomMarker.style.background = 'rgba(255, 20, 147, 0.6)';
-            bottomMarker.style.border = '3px solid rgba(255, 20, 147, 1)';
-            bottomMarker.style.borderRadius = '50%';
-            bottomMarker.style.zIndex = '500';
-            bottomMarker.style.boxShadow = '0 0 20px rgba(255, 20, 147, 0.8)';
-            bottomMarker.innerHTML = '<div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); color: white; font-size: 1.2rem; font-weight: bold;">HIT</div>';
-            document.body.appendChild(bottomMarker);
-            
-            console.log(`Hit zone markers added at x=${hitZoneX}, top lane y=${topRect.top + topRect.height/2}, bottom lane y=${bottomRect.top + bottomRect.height/2}`);
-        }
+        this.gameStateManager.uiManager.showHitZones(this.getHitZoneX(), this.lanes);
+    }
+
+    removeHitZoneMarkers() {
+        this.gameStateManager.uiManager.clearHitZones();
     }
 
     startNoteFlow() {
@@ -559,7 +1211,6 @@ class GameEngine {
         ];
         
         let patternIndex = 0;
-        let noteId = 0;
         
         // Store interval so we can clear it when game stops
         this.noteSpawnInterval = setInterval(() => {
@@ -570,29 +1221,36 @@ class GameEngine {
             }
             
             const pattern = patterns[patternIndex % patterns.length];
+            // Notes spawn at the right edge, so they are due one travel time from now
+            const hitTime = this.getSongTime() + this.travelTime;
             
             // Spawn notes based on pattern
             if (pattern === 1 || pattern === 3) {
-                this.createNote('top', noteId++, 'normal');
-                console.log('Spawned top note');
+                this.createNote('top', hitTime, 'normal');
+                this.logger.log('Spawned top note');
             }
             if (pattern === 2 || pattern === 3) {
-                this.createNote('bottom', noteId++, 'normal');
-                console.log('Spawned bottom note');
+                this.createNote('bottom', hitTime, 'normal');
+                this.logger.log('Spawned bottom note');
             }
             if (pattern === 4) {
-                this.createNote('top', noteId++, 'hold', 1800);
-                console.log('Spawned top hold note');
+                this.createNote('top', hitTime, 'hold', 1800);
+                this.logger.log('Spawned top hold note');
             }
             if (pattern === 5) {
-                this.createNote('bottom', noteId++, 'hold', 1800);
-                console.log('Spawned bottom hold note');
+                this.createNote('bottom', hitTime, 'hold', 1800);
+                this.logger.log('Spawned bottom hold note');
             }
             
             patternIndex++;
             
         }, 600); // Spawn every 600ms for good rhythm flow
         
-        console.log('Note flow started - spawning every 600ms');
+        this.logger.log('Note flow started - spawning every 600ms');
     }
-}
\ No newline at end of file
+}
+
+// Allow requiring under Node for headless simulation
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameEngine;
+}
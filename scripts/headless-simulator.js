@@ -0,0 +1,260 @@
+// Runs a chart through the real GameEngine without a browser: a virtual clock drives
+// the frame loop and a null renderer stands in for the UI. Used for regression checks
+// of judgments and scoring, e.g.
+//
+//   node scripts/headless-simulator.js "songs/feel it.json" inputs.json
+//   node scripts/headless-simulator.js "songs/feel it.json" --autoplay
+//   node scripts/headless-simulator.js songs/bms-demo.json --autoplay --difficulty=hard
+//   node scripts/headless-simulator.js song.bme --autoplay
+//   node scripts/headless-simulator.js beatmap.osu --autoplay
+//   node scripts/headless-simulator.js "songs/feel it.json" --lint
+//
+// Inputs are { time, lane, action } with time in song ms and action 'press' or 'release'.
+
+class VirtualClock {
+    constructor(startTime = 0) {
+        this.time = startTime;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    advance(ms) {
+        this.time += ms;
+    }
+}
+
+// Holds the engine's next frame callback until the simulator steps it
+class VirtualScheduler {
+    constructor() {
+        this.callback = null;
+        this.frameId = 0;
+    }
+
+    requestFrame(callback) {
+        this.callback = callback;
+        return ++this.frameId;
+    }
+
+    cancelFrame(id) {
+        if (id === this.frameId) {
+            this.callback = null;
+        }
+    }
+
+    runFrame() {
+        const callback = this.callback;
+        this.callback = null;
+        if (callback) {
+            callback();
+        }
+    }
+}
+
+// Null renderer: accepts every UI call the engine makes and draws nothing
+class NullUIManager {
+    constructor(viewportWidth = 1280) {
+        this.viewportWidth = viewportWidth;
+    }
+
+    getViewportWidth() {
+        return this.viewportWidth;
+    }
+
+    // Notes still need a handle so the engine treats them as created
+    createNote(lane, position, type = 'normal', duration = 0) {
+        return { lane, position, type, duration };
+    }
+
+    setNotePosition() {}
+    setNoteOpacity() {}
+    updateMashCount() {}
+    removeNote() {}
+    render() {}
+    showHitZones() {}
+    clearHitZones() {}
+    startHoldEffect() {}
+    updateHoldProgress() {}
+    completeHoldEffect() {}
+    addScreenShake() {}
+    flashScreen() {}
+    setupLanes() {}
+    setLanesSwapped() {}
+    setHiddenLanes() {}
+    setBackground() {}
+    showCountdown() {}
+}
+
+// Stands in for GameStateManager: keeps score the same way and records every judgment
+class HeadlessGameState {
+    constructor(settings, uiManager) {
+        this.settings = settings;
+        this.uiManager = uiManager;
+        this.gameEngine = null;
+        this.state = 'menu';
+        this.scores = { current: 0, combo: 0, maxCombo: 0 };
+        this.stats = { perfect: 0, great: 0, good: 0, miss: 0, hold: 0, mash: 0, hammer: 0 };
+        this.judgments = [];
+    }
+
+    setState(newState) {
+        this.state = newState;
+    }
+
+    updateScore(points, judgment) {
+        this.scores.current += points;
+        this.stats[judgment]++;
+
+        if (judgment !== 'miss' && judgment !== 'hammer') {
+            this.scores.combo++;
+            this.scores.maxCombo = Math.max(this.scores.maxCombo, this.scores.combo);
+        } else {
+            this.scores.combo = 0;
+        }
+
+        this.judgments.push({
+            time: Math.round(this.gameEngine.getSongTime()),
+            judgment: judgment,
+            points: points,
+            combo: this.scores.combo
+        });
+    }
+
+    resetGame() {
+        this.scores = { current: 0, combo: 0, maxCombo: 0 };
+        this.stats = { perfect: 0, great: 0, good: 0, miss: 0, hold: 0, mash: 0, hammer: 0 };
+        this.judgments = [];
+    }
+
+    updateProgress() {}
+
+    // Headless runs always play to the end
+    hasFailed() {
+        return false;
+    }
+
+    endGame() {
+        this.setState('game-over');
+    }
+}
+
+const silentLogger = {
+    log() {},
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+class HeadlessSimulator {
+    // options: frameRate (fps the loop is stepped at), viewportWidth,
+    // settings (overrides such as { audioOffset: 20 }), judgmentWindows, logger,
+    // autoplay (play the chart perfectly instead of using the inputs),
+    // difficulty (chart of a BMS song, its first one by default)
+    constructor(options = {}) {
+        this.frameInterval = 1000 / (options.frameRate || 60);
+        this.viewportWidth = options.viewportWidth || 1280;
+        this.settings = options.settings || {};
+        this.judgmentWindows = options.judgmentWindows || null;
+        this.logger = options.logger || silentLogger;
+        this.autoplay = options.autoplay || false;
+        this.difficulty = options.difficulty || null;
+    }
+
+    // chart is chart data of any format ChartModel reads, e.g. note_events, a BMS grid or an
+    // already processed chart ({ metadata, notes })
+    run(chart, inputs = []) {
+        // Engine classes are globals in the browser and required under Node
+        const Engine = typeof GameEngine !== 'undefined' ? GameEngine : require('./game-engine.js');
+        const Loader = typeof ChartLoader !== 'undefined' ? ChartLoader : require('./chart-loader.js');
+        const Settings = typeof SettingsManager !== 'undefined' ? SettingsManager : require('./settings-manager.js');
+        const Autoplay = typeof AutoplayController !== 'undefined' ? AutoplayController : require('./autoplay-controller.js');
+
+        const settings = new Settings(null);
+        Object.entries(this.settings).forEach(([key, value]) => settings.set(key, value));
+
+        const clock = new VirtualClock();
+        const scheduler = new VirtualScheduler();
+        const chartLoader = new Loader(this.logger);
+        const state = new HeadlessGameState(settings, new NullUIManager(this.viewportWidth));
+        const engine = new Engine(state, { clock, scheduler, chartLoader, logger: this.logger });
+        state.gameEngine = engine;
+
+        if (this.judgmentWindows) {
+            engine.setJudgmentWindows(this.judgmentWindows);
+        }
+        if (this.autoplay) {
+            engine.setInputSource(new Autoplay(engine));
+        }
+
+        engine.currentChart = chartLoader.parseChart(chart, this.difficulty);
+        engine.songDuration = this.getSongDuration(engine.currentChart);
+        engine.beginPlay();
+
+        const pending = [...inputs].sort((a, b) => a.time - b.time);
+        let nextInput = 0;
+
+        while (engine.isPlaying) {
+            clock.advance(this.frameInterval);
+
+            // Inputs land at their exact times between frames, like real input events
+            while (nextInput < pending.length && pending[nextInput].time <= engine.getSongTime()) {
+                const input = pending[nextInput++];
+                engine.handleInput(input.lane, input.action || 'press', input.time);
+            }
+
+            scheduler.runFrame();
+        }
+
+        return {
+            judgments: state.judgments,
+            score: state.scores.current,
+            combo: state.scores.combo,
+            maxCombo: state.scores.maxCombo,
+            stats: { ...state.stats }
+        };
+    }
+
+    // Charts without a duration run until their last note has finished
+    getSongDuration(chart) {
+        if (chart.metadata && chart.metadata.duration > 0) {
+            return chart.metadata.duration;
+        }
+
+        const lastEnd = chart.notes.reduce((end, note) => Math.max(end, note.timestamp + (note.duration || 0)), 0);
+        return lastEnd + 1000;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HeadlessSimulator, VirtualClock, VirtualScheduler, NullUIManager, HeadlessGameState };
+
+    if (require.main === module) {
+        const fs = require('fs');
+        const args = process.argv.slice(2);
+        const autoplay = args.includes('--autoplay');
+        const difficultyArg = args.find(arg => arg.startsWith('--difficulty='));
+        const difficulty = difficultyArg ? difficultyArg.slice('--difficulty='.length) : null;
+        const [chartPath, inputsPath] = args.filter(arg => !arg.startsWith('--'));
+
+        if (!chartPath) {
+            console.error('Usage: node scripts/headless-simulator.js <chart.json> [inputs.json | --autoplay | --lint] [--difficulty=name]');
+            process.exit(1);
+        }
+
+        // .bms, StepMania and .osu files are imported by extension, anything else is JSON
+        const ChartLoader = require('./chart-loader.js');
+        const chart = new ChartLoader({ log() {}, warn: (...messages) => console.error(...messages) })
+            .decodeChartData(chartPath, fs.readFileSync(chartPath));
+
+        // --lint prints the chart's lint report instead of playing it
+        if (args.includes('--lint')) {
+            const lint = new ChartLoader({ log() {}, warn() {} }).parseChart(chart, difficulty).lint;
+            console.log(JSON.stringify(lint, null, 2));
+            process.exit(lint.errors.length > 0 ? 1 : 0);
+        }
+
+        const inputs = inputsPath ? JSON.parse(fs.readFileSync(inputsPath, 'utf8')) : [];
+        const result = new HeadlessSimulator({ autoplay, difficulty }).run(chart, inputs);
+        console.log(JSON.stringify(result, null, 2));
+    }
+}
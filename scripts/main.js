@@ -3,6 +3,17 @@ class GameStateManager {
         this.currentState = 'menu';
         this.gameEngine = null;
         this.uiManager = null;
+        this.settings = new SettingsManager();
+        this.calibrationManager = null;
+        this.isAutoplay = false; // Current run is played by the AutoplayController
+        this.replay = null; // Replay being watched, if any
+        this.practice = null; // Practice options while practicing a section
+        this.maxHealth = 100;
+        this.health = this.maxHealth; // The run fails when this reaches 0, unless no-fail is on
+        this.noFail = false;
+        this.failed = false;
+        this.replayManager = new ReplayManager();
+        this.selectedSong = { path: './songs/feel it.json', difficulty: null };
         this.scores = {
             current: 0,
             high: localStorage.getItem('highScore') || 0,
@@ -14,7 +25,9 @@ class GameStateManager {
             great: 0,
             good: 0,
             miss: 0,
-            hold: 0
+            hold: 0,
+            mash: 0, // Presses on mash notes
+            hammer: 0 // Hammer notes hit by mistake
         };
         
         this.init();
@@ -24,8 +37,12 @@ class GameStateManager {
         this.setupEventListeners();
         this.uiManager = new UIManager(this);
         this.gameEngine = new GameEngine(this);
+        this.calibrationManager = new CalibrationManager(this);
+        this.chartRecorder = new ChartRecorder(this);
+        this.judgmentWindows = { ...this.gameEngine.judgmentWindows };
         this.setState('menu');
         this.updateHighScore();
+        this.selectSong(document.getElementById('song-select').value);
     }
 
     setupEventListeners() {
@@ -33,10 +50,89 @@ class GameStateManager {
             this.startGame();
         });
 
+        document.getElementById('song-select').addEventListener('change', (e) => {
+            this.selectSong(e.target.value);
+        });
+
+        document.getElementById('difficulty-select').addEventListener('change', (e) => {
+            this.selectedSong.difficulty = e.target.value || null;
+            this.checkChart();
+        });
+
+        document.getElementById('autoplay-btn').addEventListener('click', () => {
+            this.startGame({ autoplay: true });
+        });
+
         document.getElementById('settings-btn').addEventListener('click', () => {
             this.setState('settings');
         });
 
+        document.getElementById('practice-btn').addEventListener('click', () => {
+            this.setState('practice');
+        });
+
+        document.getElementById('start-practice-btn').addEventListener('click', () => {
+            this.startGame({ practice: this.uiManager.getPracticeOptions() });
+        });
+
+        document.getElementById('back-from-practice-btn').addEventListener('click', () => {
+            this.setState('menu');
+        });
+
+        document.getElementById('replays-btn').addEventListener('click', () => {
+            this.setState('replays');
+        });
+
+        document.getElementById('back-from-replays-btn').addEventListener('click', () => {
+            this.setState('menu');
+        });
+
+        document.getElementById('recorder-btn').addEventListener('click', () => {
+            this.setState('recorder');
+        });
+
+        document.getElementById('recorder-audio').addEventListener('change', (e) => {
+            this.chartRecorder.loadAudio(e.target.files[0]);
+        });
+
+        document.getElementById('recorder-start-btn').addEventListener('click', () => {
+            this.chartRecorder.start(this.uiManager.getRecorderOptions());
+        });
+
+        document.getElementById('recorder-stop-btn').addEventListener('click', () => {
+            this.chartRecorder.stop();
+        });
+
+        document.getElementById('recorder-undo-btn').addEventListener('click', () => {
+            this.chartRecorder.undo();
+        });
+
+        document.getElementById('recorder-export-btn').addEventListener('click', () => {
+            this.chartRecorder.exportChart();
+        });
+
+        document.getElementById('back-from-recorder-btn').addEventListener('click', () => {
+            this.chartRecorder.stop();
+            this.setState('menu');
+        });
+
+        document.getElementById('replay-import').addEventListener('change', (e) => {
+            this.importReplay(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        document.getElementById('save-replay-btn').addEventListener('click', () => {
+            if (this.replayManager.lastReplay && this.replayManager.saveReplay(this.replayManager.lastReplay)) {
+                this.uiManager.markReplaySaved();
+            }
+        });
+
+        document.getElementById('export-replay-btn').addEventListener('click', () => {
+            if (this.replayManager.lastReplay) {
+                this.replayManager.exportReplay(this.replayManager.lastReplay);
+            }
+        });
+
         document.getElementById('play-again-btn').addEventListener('click', () => {
             this.startGame();
         });
@@ -49,10 +145,50 @@ class GameStateManager {
             this.setState('menu');
         });
 
+        document.getElementById('calibrate-btn').addEventListener('click', () => {
+            this.setState('calibration');
+        });
+
+        document.getElementById('calibrate-audio-btn').addEventListener('click', () => {
+            this.calibrationManager.start('audio');
+        });
+
+        document.getElementById('calibrate-visual-btn').addEventListener('click', () => {
+            this.calibrationManager.start('visual');
+        });
+
+        document.getElementById('calibration-pad').addEventListener('pointerdown', (e) => {
+            this.calibrationManager.handleTap(e.timeStamp);
+        });
+
+        document.getElementById('back-from-calibration-btn').addEventListener('click', () => {
+            this.calibrationManager.stop();
+            this.setState('settings');
+        });
+
         document.getElementById('pause-btn').addEventListener('click', () => {
             this.pauseGame();
         });
 
+        document.getElementById('resume-btn').addEventListener('click', () => {
+            this.resumeGame();
+        });
+
+        document.getElementById('retry-btn').addEventListener('click', () => {
+            this.retryGame();
+        });
+
+        document.getElementById('quit-btn').addEventListener('click', () => {
+            this.quitGame();
+        });
+
+        // Pause automatically when the player switches away from the tab
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame();
+            }
+        });
+
         document.addEventListener('keydown', (e) => {
             this.handleKeyInput(e);
         });
@@ -64,109 +200,283 @@ class GameStateManager {
         this.setupMobileControls();
     }
 
+    // Lanes are rebuilt for every chart, so touches are picked up on the game area
+    // and go to the lane they landed in
     setupMobileControls() {
-        const topLane = document.getElementById('top-lane');
-        const bottomLane = document.getElementById('bottom-lane');
-
-        if (topLane && bottomLane) {
-            topLane.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                if (this.currentState === 'game') {
-                    this.gameEngine.handleInput('top', 'press');
-                }
-            });
-
-            topLane.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                if (this.currentState === 'game') {
-                    this.gameEngine.handleInput('top', 'release');
-                }
-            });
-
-            bottomLane.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                if (this.currentState === 'game') {
-                    this.gameEngine.handleInput('bottom', 'press');
-                }
-            });
-
-            bottomLane.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                if (this.currentState === 'game') {
-                    this.gameEngine.handleInput('bottom', 'release');
-                }
-            });
-        }
+        const gameArea = document.querySelector('.game-area');
+        if (!gameArea) return;
+
+        const handleTouch = (e, action) => {
+            const laneElement = e.target.closest('.lane');
+            if (!laneElement) return;
+
+            e.preventDefault();
+            if (this.currentState === 'game' && !this.isWatching()) {
+                this.gameEngine.handleInput(laneElement.dataset.lane, action, this.gameEngine.getSongTime(e.timeStamp));
+            }
+        };
+
+        gameArea.addEventListener('touchstart', (e) => handleTouch(e, 'press'));
+        gameArea.addEventListener('touchend', (e) => handleTouch(e, 'release'));
     }
 
     handleKeyInput(e) {
+        if (this.currentState === 'calibration') {
+            if (e.type === 'keydown' && !e.repeat) {
+                this.calibrationManager.handleTap(e.timeStamp);
+            }
+            return;
+        }
+
+        if (this.currentState === 'recorder') {
+            this.chartRecorder.handleKey(e);
+            return;
+        }
+
+        if (this.currentState === 'paused') {
+            if (e.key === 'Escape' && e.type === 'keydown') {
+                this.resumeGame();
+            }
+            return;
+        }
+
         if (this.currentState !== 'game') return;
 
         const key = e.key.toLowerCase();
         const action = e.type === 'keydown' ? 'press' : 'release';
-        
-        switch (key) {
-            case 'd':
-            case 'f':
-                this.gameEngine.handleInput('top', action);
-                break;
-            case 'j':
-            case 'k':
-                this.gameEngine.handleInput('bottom', action);
-                break;
-            case 'escape':
-                if (action === 'press') {
-                    this.pauseGame();
-                }
-                break;
+
+        // Lanes belong to autoplay or the replay, the player can still pause
+        if (this.isWatching() && key !== 'escape') return;
+        // Judge against when the key was pressed, not when the handler ran
+        const inputTime = this.gameEngine.getSongTime(e.timeStamp);
+
+        if (key === 'escape') {
+            if (action === 'press') {
+                this.pauseGame();
+            }
+            return;
+        }
+
+        // The chart's lane count decides which keys play which lane
+        const lane = this.gameEngine.getLaneForKey(key);
+        if (lane) {
+            if (key === ' ') {
+                e.preventDefault(); // Keep space from scrolling or pressing a focused button
+            }
+            // A held key auto-repeats keydowns, which would count as mash presses
+            if (e.repeat) return;
+            this.gameEngine.handleInput(lane, action, inputTime);
         }
     }
 
     setState(newState) {
+        // Paused is shown as an overlay on top of the game screen
+        const screenState = newState === 'paused' ? 'game' : newState;
+
         document.querySelectorAll('.screen').forEach(screen => {
             screen.classList.remove('active');
         });
 
-        const targetScreen = document.getElementById(`${newState}-screen`);
+        const targetScreen = document.getElementById(`${screenState}-screen`);
         if (targetScreen) {
             targetScreen.classList.add('active');
             this.currentState = newState;
         }
 
+        this.uiManager.togglePauseMenu(this.currentState === 'paused');
+
         if (newState === 'menu') {
             this.resetGame();
+        } else if (newState === 'replays') {
+            this.showReplays();
+        } else if (newState === 'practice') {
+            this.uiManager.showPracticeStatus('');
+        }
+    }
+
+    // Picks the song to play and shows its title and difficulties; the first difficulty is selected
+    async selectSong(path) {
+        this.selectedSong = { path: path, difficulty: null };
+
+        try {
+            const info = await this.gameEngine.chartLoader.loadChartInfo(path);
+            if (this.selectedSong.path !== path) return; // Another song was picked meanwhile
+
+            this.selectedSong.difficulty = info.difficulties.length > 0 ? info.difficulties[0].name : null;
+            this.uiManager.showSongInfo(info);
+            this.checkChart();
+        } catch (error) {
+            console.error('Failed to load song info:', error);
+            this.uiManager.showSongInfo(null);
+            this.uiManager.showChartLint(null);
+        }
+    }
+
+    // Lints the selected chart so its problems show up before playing
+    async checkChart() {
+        const { path, difficulty } = this.selectedSong;
+
+        try {
+            const lint = await this.gameEngine.chartLoader.lintSong(path, difficulty);
+            if (this.selectedSong.path !== path || this.selectedSong.difficulty !== difficulty) return;
+            this.uiManager.showChartLint(lint);
+        } catch (error) {
+            console.error('Failed to check chart:', error);
+            this.uiManager.showChartLint(null);
         }
     }
 
-    async startGame() {
+    // True while autoplay or a replay is at the controls instead of the player
+    isWatching() {
+        return this.isAutoplay || this.replay !== null;
+    }
+
+    // options.autoplay plays the chart automatically, options.replay plays back a recorded run,
+    // options.practice ({ unit, from, to, rate, loop, noFail }) plays a section. None of them
+    // count for high scores.
+    async startGame(options = {}) {
+        this.isAutoplay = !!options.autoplay;
+        this.replay = options.replay || null;
+        this.practice = options.practice || null;
+        this.noFail = this.practice ? this.practice.noFail : false;
+
+        let inputSource = null;
+        if (this.replay) {
+            inputSource = new ReplayPlayer(this.gameEngine, this.replay);
+        } else if (this.isAutoplay) {
+            inputSource = new AutoplayController(this.gameEngine);
+        }
+        this.gameEngine.setInputSource(inputSource);
+        this.gameEngine.setJudgmentWindows(this.replay ? this.replay.judgmentWindows : this.judgmentWindows);
+        this.gameEngine.setPractice(this.practice);
+        this.gameEngine.setPlaybackRate(this.practice ? this.practice.rate : 1);
+
+        // Only the player's own full runs are recorded
+        if (inputSource || this.practice) {
+            this.replayManager.cancelRecording();
+            this.gameEngine.inputRecorder = null;
+        } else {
+            this.replayManager.startRecording(this.settings.getAll(), this.gameEngine.judgmentWindows, this.gameEngine.playbackRate);
+            this.gameEngine.inputRecorder = this.replayManager;
+        }
+
+        this.uiManager.showModeBadge(this.isAutoplay ? 'autoplay' : this.practice ? 'practice' : null);
+        this.uiManager.showReplayControls(this.replay !== null);
+
         this.resetGame();
         this.setState('game');
         try {
-            await this.gameEngine.startGame();
+            if (this.replay) {
+                await this.gameEngine.startGame(this.replay.chartId, this.replayManager.createSettings(this.replay), this.replay.difficulty || null);
+            } else {
+                await this.gameEngine.startGame(this.selectedSong.path, this.settings, this.selectedSong.difficulty);
+            }
+            this.uiManager.showNowPlaying(this.gameEngine.currentChart.metadata);
         } catch (error) {
             console.error('Failed to start game:', error);
-            this.setState('menu');
+            if (this.practice) {
+                this.setState('practice');
+                this.uiManager.showPracticeStatus(error.message);
+            } else {
+                this.setState('menu');
+            }
         }
     }
 
     pauseGame() {
         if (this.currentState === 'game') {
-            this.gameEngine.pauseGame();
+            if (this.gameEngine.pauseGame()) {
+                this.setState('paused');
+            }
+        } else if (this.currentState === 'paused' && this.gameEngine.isResuming) {
+            // Paused again during the countdown: back to the pause menu
+            this.gameEngine.cancelResume();
+            this.uiManager.togglePauseMenu(true);
         }
     }
 
+    async resumeGame() {
+        if (this.currentState !== 'paused' || this.gameEngine.isResuming) return;
+
+        this.uiManager.togglePauseMenu(false);
+        const resumed = await this.gameEngine.resumeGame();
+        if (resumed) {
+            this.setState('game');
+        }
+    }
+
+    retryGame() {
+        this.gameEngine.quitGame();
+        this.startGame({ autoplay: this.isAutoplay, replay: this.replay, practice: this.practice });
+    }
+
+    quitGame() {
+        this.gameEngine.quitGame();
+        this.replayManager.cancelRecording();
+        this.setState('menu');
+    }
+
     endGame() {
         this.setState('game-over');
         this.updateFinalStats();
-        this.checkHighScore();
+        this.uiManager.showResultsTitle(this.failed ? 'Failed!' : 'Game Over!');
+
+        if (this.replay) {
+            this.uiManager.showReplayCheck(this.replay.result, this.getResult());
+        } else if (!this.isAutoplay && !this.practice) {
+            const metadata = this.gameEngine.currentChart.metadata;
+            this.replayManager.finishRecording(this.gameEngine.chartId, metadata ? metadata.title : 'Demo', this.getResult(), this.gameEngine.difficulty);
+            this.checkHighScore();
+        }
+
+        if (!this.replay) {
+            this.uiManager.showReplayCheck(null);
+        }
+        this.uiManager.showReplayActions(this.replayManager.lastReplay !== null);
+    }
+
+    getResult() {
+        return {
+            score: this.scores.current,
+            maxCombo: this.scores.maxCombo,
+            stats: { ...this.stats }
+        };
+    }
+
+    showReplays() {
+        this.uiManager.renderReplayList(this.replayManager.getSavedReplays(), {
+            onWatch: (replay) => this.startGame({ replay }),
+            onExport: (replay) => this.replayManager.exportReplay(replay),
+            onDelete: (replay) => {
+                this.replayManager.deleteReplay(replay.id);
+                this.showReplays();
+            }
+        });
+    }
+
+    async importReplay(file) {
+        if (!file) return;
+
+        try {
+            const replay = await this.replayManager.importReplay(file);
+            this.replayManager.saveReplay(replay);
+            this.showReplays();
+            this.uiManager.showReplayStatus(`Imported replay of ${replay.title || replay.chartId}`);
+        } catch (error) {
+            console.error('Failed to import replay:', error);
+            this.uiManager.showReplayStatus(`Could not import replay: ${error.message}`);
+        }
     }
 
     resetGame() {
         this.scores.current = 0;
         this.scores.combo = 0;
         this.scores.maxCombo = 0;
-        this.stats = { perfect: 0, great: 0, good: 0, miss: 0, hold: 0 };
+        this.stats = { perfect: 0, great: 0, good: 0, miss: 0, hold: 0, mash: 0, hammer: 0 };
+        this.health = this.maxHealth;
+        this.failed = false;
         this.uiManager.updateScore(0);
+        this.uiManager.updateHealth(this.health, this.maxHealth);
         this.uiManager.updateCombo(0);
         this.uiManager.updateProgress(0);
     }
@@ -175,20 +485,41 @@ class GameStateManager {
         this.scores.current += points;
         this.stats[judgment]++;
         
-        if (judgment !== 'miss') {
+        if (judgment !== 'miss' && judgment !== 'hammer') {
             this.scores.combo++;
             this.scores.maxCombo = Math.max(this.scores.maxCombo, this.scores.combo);
         } else {
             this.scores.combo = 0;
         }
 
+        this.updateHealth(judgment);
         this.uiManager.updateScore(this.scores.current);
         this.uiManager.updateCombo(this.scores.combo);
         this.uiManager.showJudgment(judgment);
     }
 
+    // Misses and hammers drain the gauge, accurate hits refill it slowly
+    updateHealth(judgment) {
+        const changes = { perfect: 2, great: 1, good: 0, miss: -10, hold: 0, mash: 0, hammer: -20 };
+
+        this.health = Math.max(0, Math.min(this.maxHealth, this.health + changes[judgment]));
+        if (this.health === 0 && !this.noFail) {
+            this.failed = true;
+        }
+
+        this.uiManager.updateHealth(this.health, this.maxHealth);
+    }
+
+    // Checked by the engine at the end of every frame
+    hasFailed() {
+        return this.failed;
+    }
+
     updateProgress(percentage) {
         this.uiManager.updateProgress(percentage);
+        if (this.replay) {
+            this.uiManager.updateReplaySeek(percentage);
+        }
     }
 
     updateFinalStats() {
@@ -0,0 +1,177 @@
+// Imports osu!mania .osu beatmaps. parse() reads the sections of the text file,
+// convert() turns the beatmap into the processed chart ChartLoader.processChart returns
+// ({ metadata, notes }), folding the mania columns onto the lanes of columnMapping.
+class OsuImporter {
+    // options.columnMapping: key count -> lane for each column, left to right, e.g.
+    // { 4: ['1', '2', '3', '4'] } to play 4K on four lanes. 2K and 4K are folded onto
+    // top and bottom by default; other key counts need their own rule.
+    constructor(options = {}) {
+        this.columnMapping = {
+            2: ['top', 'bottom'],
+            4: ['top', 'top', 'bottom', 'bottom'], // Left hand on top, right hand on the bottom
+            ...options.columnMapping
+        };
+        this.logger = options.logger || console;
+    }
+
+    // Key: value sections become objects, [TimingPoints] and [HitObjects] lists of fields
+    parse(text) {
+        const beatmap = { format: 'osu', general: {}, metadata: {}, difficulty: {}, timingPoints: [], hitObjects: [] };
+        const keyValueSections = { General: 'general', Metadata: 'metadata', Difficulty: 'difficulty' };
+        let section = null;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('//')) return;
+
+            const header = line.match(/^\[(\w+)\]$/);
+            if (header) {
+                section = header[1];
+                return;
+            }
+
+            if (keyValueSections[section]) {
+                const separator = line.indexOf(':');
+                if (separator > 0) {
+                    beatmap[keyValueSections[section]][line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+                }
+            } else if (section === 'TimingPoints') {
+                const [time, beatLength, meter, , , , uninherited] = line.split(',');
+                beatmap.timingPoints.push({
+                    time: parseFloat(time),
+                    beatLength: parseFloat(beatLength),
+                    meter: parseInt(meter, 10) || 4,
+                    // Old beatmaps leave the field out, every point was a red line then
+                    uninherited: uninherited === undefined || uninherited.trim() === '1'
+                });
+            } else if (section === 'HitObjects') {
+                const [x, , time, type, , params] = line.split(',');
+                beatmap.hitObjects.push({
+                    x: parseInt(x, 10),
+                    time: parseInt(time, 10),
+                    type: parseInt(type, 10),
+                    endTime: params ? parseInt(params.split(':')[0], 10) : null
+                });
+            }
+        });
+
+        return beatmap;
+    }
+
+    // Returns { chart, report } with report a list of messages about what was left out
+    convert(beatmap) {
+        const report = [];
+        const mode = beatmap.general.Mode;
+        if (mode !== undefined && mode !== '3') {
+            report.push(`Mode ${mode} is not an osu!mania beatmap, its hit objects were read as mania columns`);
+        }
+
+        const keyCount = parseInt(beatmap.difficulty.CircleSize, 10);
+        const lanes = this.columnMapping[keyCount];
+        if (!lanes || lanes.length !== keyCount) {
+            throw new Error(`No column folding for ${keyCount}K beatmaps, pass one in columnMapping`);
+        }
+
+        const notes = this.foldColumns(beatmap.hitObjects, keyCount, lanes, report);
+        const redLines = beatmap.timingPoints.filter(point => point.uninherited && point.beatLength > 0);
+        const scrollChanges = beatmap.timingPoints.length - redLines.length;
+        if (scrollChanges > 0) {
+            report.push(`${scrollChanges} scroll speed changes (inherited timing points) were left out`);
+        }
+
+        const lastNoteEnd = notes.reduce((end, note) => Math.max(end, note.timestamp + note.duration), 0);
+        const duration = lastNoteEnd + 1000;
+        const metadata = beatmap.metadata;
+
+        const chart = {
+            metadata: {
+                lanes: [...new Set(lanes.filter(lane => lane))],
+                title: metadata.TitleUnicode || metadata.Title || 'Unknown Song',
+                artist: metadata.ArtistUnicode || metadata.Artist || null,
+                difficulty: metadata.Version || null,
+                bpm: redLines.length > 0 ? Math.round(60000 / redLines[0].beatLength * 100) / 100 : null,
+                duration: duration,
+                measureTimes: this.getMeasureTimes(redLines, duration)
+            },
+            notes: notes
+        };
+
+        report.forEach(message => this.logger.warn('osu! import:', message));
+        this.logger.log(`Imported ${notes.length} notes from ${keyCount}K beatmap '${chart.metadata.difficulty}'`);
+        return { chart, report };
+    }
+
+    // Notes of columns sharing a lane: the first note on a timestamp wins, and
+    // notes that start while a hold in the same lane is still going are dropped
+    foldColumns(hitObjects, keyCount, lanes, report) {
+        const laneEnds = {};
+        const taken = new Set();
+        let merged = 0;
+        let insideHold = 0;
+
+        // Type bit 7 marks a mania hold, its end time comes first in the object params
+        const objects = hitObjects.map(object => ({
+            ...object,
+            kind: (object.type & 128) !== 0 && object.endTime > object.time ? 'hold' : 'normal'
+        }));
+        // Holds go before taps at the same time, so a hold wins a spot it shares with a tap
+        const order = { hold: 0, normal: 1 };
+
+        const notes = [];
+        objects.sort((a, b) => a.time - b.time || order[a.kind] - order[b.kind]).forEach(object => {
+            const column = Math.min(keyCount - 1, Math.max(0, Math.floor(object.x * keyCount / 512)));
+            const lane = lanes[column];
+            if (!lane) return; // Column folded away
+
+            const hold = object.kind === 'hold';
+            const spot = `${lane}_${object.time}`;
+
+            if (taken.has(spot)) {
+                merged++;
+                return;
+            }
+            if (laneEnds[lane] !== undefined && object.time <= laneEnds[lane]) {
+                insideHold++;
+                return;
+            }
+
+            taken.add(spot);
+            if (hold) {
+                laneEnds[lane] = object.endTime;
+            }
+            notes.push({
+                id: `note_${notes.length}`,
+                type: hold ? 'hold' : 'normal',
+                lane: lane,
+                timestamp: object.time,
+                duration: hold ? object.endTime - object.time : 0
+            });
+        });
+
+        if (merged > 0) {
+            report.push(`${merged} notes landed on a spot another column already filled in the same lane and were merged`);
+        }
+        if (insideHold > 0) {
+            report.push(`${insideHold} notes fell inside a hold of the same lane and were left out`);
+        }
+        return notes;
+    }
+
+    // Bar lines from each red line's meter until the next red line, for practice by measure
+    getMeasureTimes(redLines, duration) {
+        const measureTimes = [];
+        redLines.forEach((point, index) => {
+            const end = index + 1 < redLines.length ? redLines[index + 1].time : duration;
+            const measureLength = point.beatLength * point.meter;
+            for (let time = point.time; time < end; time += measureLength) {
+                measureTimes.push(time);
+            }
+        });
+        return measureTimes;
+    }
+}
+
+// Allow requiring under Node for headless simulation
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OsuImporter;
+}
@@ -0,0 +1,158 @@
+// Records the input stream of a run and stores replays in localStorage or JSON files.
+// A replay is { version, id, chartId, difficulty, title, settings, judgmentWindows, recordedAt, inputs, result }
+// with inputs as { lane, action, time } in song ms, exactly as handleInput received them.
+class ReplayManager {
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.storageKey = 'replays';
+        this.version = 1;
+        this.maxSavedReplays = 20;
+        this.recording = null;
+        this.lastReplay = null; // Most recently finished recording, until the next run starts
+    }
+
+    // playbackRate is the rate the run plays at; the replay is judged at it whatever speed
+    // it is watched at
+    startRecording(settings, judgmentWindows, playbackRate = 1) {
+        this.lastReplay = null;
+        this.recording = {
+            version: this.version,
+            settings: { ...settings, playbackRate: playbackRate },
+            judgmentWindows: { ...judgmentWindows },
+            inputs: []
+        };
+    }
+
+    // Called by GameEngine.handleInput for every input of the run
+    record(lane, action, time) {
+        if (!this.recording) return;
+
+        this.recording.inputs.push({ lane, action, time });
+    }
+
+    // result: { score, maxCombo, stats } as shown on the results screen.
+    // difficulty is null for songs with a single chart.
+    finishRecording(chartId, title, result, difficulty = null) {
+        if (!this.recording) return null;
+
+        const recordedAt = new Date().toISOString();
+        this.lastReplay = {
+            ...this.recording,
+            id: `replay_${Date.now()}`,
+            chartId: chartId,
+            difficulty: difficulty,
+            title: title,
+            recordedAt: recordedAt,
+            result: result
+        };
+        this.recording = null;
+        return this.lastReplay;
+    }
+
+    cancelRecording() {
+        this.recording = null;
+    }
+
+    getSavedReplays() {
+        if (!this.storage) return [];
+
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.warn('Could not load replays:', error);
+            return [];
+        }
+    }
+
+    // Newest first; the oldest replays are dropped past maxSavedReplays
+    saveReplay(replay) {
+        const replays = this.getSavedReplays().filter(saved => saved.id !== replay.id);
+        replays.unshift(replay);
+        return this.storeReplays(replays.slice(0, this.maxSavedReplays));
+    }
+
+    deleteReplay(id) {
+        return this.storeReplays(this.getSavedReplays().filter(replay => replay.id !== id));
+    }
+
+    storeReplays(replays) {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(replays));
+            return true;
+        } catch (error) {
+            console.warn('Could not save replays:', error);
+            return false;
+        }
+    }
+
+    exportReplay(replay) {
+        const blob = new Blob([JSON.stringify(replay, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = `${replay.title || 'replay'} ${replay.recordedAt.slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importReplay(file) {
+        const replay = JSON.parse(await file.text());
+        this.validateReplay(replay);
+        return replay;
+    }
+
+    validateReplay(replay) {
+        if (!replay || replay.version !== this.version) {
+            throw new Error('Invalid replay: unsupported version');
+        }
+        if (typeof replay.chartId !== 'string' || !Array.isArray(replay.inputs)) {
+            throw new Error('Invalid replay: missing chart or inputs');
+        }
+
+        replay.inputs.forEach((input, index) => {
+            if (typeof input.lane !== 'string' || typeof input.time !== 'number' ||
+                (input.action !== 'press' && input.action !== 'release')) {
+                throw new Error(`Invalid replay: bad input at index ${index}`);
+            }
+        });
+    }
+
+    // Settings the run was recorded with, so offsets and scroll speed match. Replays from
+    // before playbackRate was recorded were all played at 1x
+    createSettings(replay) {
+        const Settings = typeof SettingsManager !== 'undefined' ? SettingsManager : require('./settings-manager.js');
+        const settings = new Settings(null);
+        Object.entries({ playbackRate: 1, ...replay.settings }).forEach(([key, value]) => settings.set(key, value));
+        return settings;
+    }
+}
+
+// Feeds a replay's inputs back into GameEngine.handleInput at their recorded song times
+class ReplayPlayer {
+    constructor(gameEngine, replay) {
+        this.gameEngine = gameEngine;
+        this.inputs = [...replay.inputs].sort((a, b) => a.time - b.time);
+        this.nextInput = 0;
+    }
+
+    reset() {
+        this.nextInput = 0;
+    }
+
+    // Called from the game loop every frame, before hold scoring and miss checks
+    update(songTime) {
+        while (this.nextInput < this.inputs.length && this.inputs[this.nextInput].time <= songTime) {
+            const input = this.inputs[this.nextInput++];
+            this.gameEngine.handleInput(input.lane, input.action, input.time);
+        }
+    }
+}
+
+// Allow requiring under Node for headless simulation
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReplayManager, ReplayPlayer };
+}
@@ -0,0 +1,58 @@
+class SettingsManager {
+    // storage defaults to localStorage; pass null to keep settings in memory only
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.storageKey = 'settings';
+        this.defaults = {
+            audioOffset: 0, // ms the player's taps land after the audio (output latency)
+            visualOffset: 0, // ms the display lags behind the song clock
+            renderer: 'canvas', // 'canvas' or 'dom'
+            scrollSpeed: 2.0, // Hi-speed multiplier, 1.0x-10.0x
+            scrollDuration: 0 // Fixed time (ms) a note is on screen, 0 to use scrollSpeed
+        };
+        this.settings = this.load();
+    }
+
+    load() {
+        if (!this.storage) {
+            return { ...this.defaults };
+        }
+
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            return { ...this.defaults, ...(stored ? JSON.parse(stored) : {}) };
+        } catch (error) {
+            console.warn('Could not load settings, using defaults:', error);
+            return { ...this.defaults };
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
+
+    get(key) {
+        return this.settings[key];
+    }
+
+    set(key, value) {
+        this.settings[key] = value;
+        this.save();
+        console.log(`Setting ${key} set to:`, value);
+    }
+
+    getAll() {
+        return { ...this.settings };
+    }
+}
+
+// Allow requiring under Node for headless simulation
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsManager;
+}
@@ -0,0 +1,328 @@
+// Imports StepMania .sm/.ssc simfiles into the grid chart BMSTimingEngine reads, with one
+// charts entry per difficulty so the result can be played and edited like our own charts.
+// Panel columns are folded onto the two lanes by a mapping preset, or given a lane each, e.g.
+//
+//   node scripts/stepmania-importer.js song.ssc alternate > songs/song.json
+//   node scripts/stepmania-importer.js song.ssc 1,2,3,4 > songs/song.json
+class StepManiaImporter {
+    // options.preset: one of this.presets, or an array with the lane of every column,
+    // e.g. ['1', '2', '3', '4'] to keep the four panels of dance-single as four lanes
+    constructor(options = {}) {
+        this.presets = {
+            halves: (column, columns) => (column < columns / 2 ? 'top' : 'bottom'), // Left half on top
+            alternate: (column) => (column % 2 === 0 ? 'top' : 'bottom'), // dance-single: Left/Up on top, Down/Right on the bottom
+            outer: (column, columns) => (Math.min(column, columns - 1 - column) % 2 === 0 ? 'top' : 'bottom') // Outer panels on top
+        };
+        this.preset = options.preset || 'halves';
+        this.resolution = 192; // Rows per measure for bpmChanges and stops, StepMania's finest
+        this.logger = options.logger || console;
+
+        // Simfile note characters to lane pattern characters
+        this.noteChars = { tap: '1', mine: 'X', holdStart: '2', holdEnd: '3', rollStart: 'M', rollEnd: 'm' };
+    }
+
+    // Returns { chart, report } with report a list of messages about what was left out
+    convert(text) {
+        const report = [];
+        const tags = this.readTags(text);
+        const songTags = {};
+        const simfileCharts = [];
+        let current = null;
+
+        // .ssc starts every chart with #NOTEDATA, .sm packs a chart into one #NOTES tag
+        tags.forEach(([key, value]) => {
+            if (key === 'NOTEDATA') {
+                current = {};
+                simfileCharts.push(current);
+            } else if (current) {
+                current[key] = value;
+            } else if (key === 'NOTES') {
+                const [stepsType, description, difficulty, meter, , notes] = value.split(':');
+                simfileCharts.push({ STEPSTYPE: stepsType, DESCRIPTION: description, DIFFICULTY: difficulty, METER: meter, NOTES: notes });
+            } else {
+                songTags[key] = value;
+            }
+        });
+
+        ['DELAYS', 'WARPS', 'SPEEDS', 'SCROLLS', 'FAKES'].forEach(key => {
+            if (songTags[key] && songTags[key].trim()) {
+                report.push(`#${key} are not supported and were left out`);
+            }
+        });
+        if (simfileCharts.some(simfileChart => simfileChart.BPMS !== undefined || simfileChart.STOPS !== undefined)) {
+            report.push('Charts with their own timing use the song timing');
+        }
+
+        const timing = this.buildTiming(songTags, report);
+        const charts = {};
+
+        simfileCharts.forEach(simfileChart => {
+            const name = this.getChartName(simfileChart, charts);
+            const measures = this.convertNotes(simfileChart.NOTES || '', name, report);
+            if (measures) {
+                const level = parseInt(simfileChart.METER, 10);
+                charts[name] = { level: Number.isNaN(level) ? undefined : level, measures };
+            }
+        });
+
+        if (Object.keys(charts).length === 0) {
+            throw new Error('No playable charts found in simfile');
+        }
+
+        const chart = {
+            metadata: {
+                title: songTags.TITLE || 'Unknown Song',
+                artist: songTags.ARTIST || null,
+                lanes: this.getLanes(),
+                bpm: timing.bpm,
+                subdivision: this.resolution,
+                beatsPerMeasure: 4,
+                // #OFFSET is minus the song time of beat 0
+                offset: -(parseFloat(songTags.OFFSET) || 0),
+                bpmChanges: timing.bpmChanges,
+                stops: timing.stops
+            },
+            audio: songTags.MUSIC ? { music: songTags.MUSIC } : {},
+            charts: charts
+        };
+
+        report.forEach(message => this.logger.warn('StepMania import:', message));
+        return { chart, report };
+    }
+
+    // #KEY:value; pairs in file order, without // comments
+    readTags(text) {
+        const tags = [];
+        const source = text.replace(/\/\/[^\n]*/g, '');
+        const pattern = /#([^:;#]+):([^;]*);?/g;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            tags.push([match[1].trim().toUpperCase(), match[2].trim()]);
+        }
+        return tags;
+    }
+
+    // #BPMS and #STOPS are beat=value lists; measures are always 4 beats
+    buildTiming(songTags, report) {
+        const parseList = value => (value || '').split(',')
+            .map(entry => entry.split('=').map(part => parseFloat(part)))
+            .filter(([beat, value]) => !Number.isNaN(beat) && !Number.isNaN(value));
+
+        const toPosition = beat => {
+            const row = Math.round(beat * this.resolution / 4);
+            return { measure: Math.floor(row / this.resolution), subdivision: row % this.resolution };
+        };
+
+        const bpms = parseList(songTags.BPMS).sort((a, b) => a[0] - b[0]);
+        let bpm = bpms.length > 0 && bpms[0][0] <= 0 ? bpms.shift()[1] : null;
+        if (!(bpm > 0)) {
+            report.push('No usable BPM at beat 0, using 120');
+            bpm = 120;
+        }
+
+        const bpmChanges = [];
+        bpms.forEach(([beat, value]) => {
+            if (value > 0) {
+                bpmChanges.push({ ...toPosition(beat), bpm: value });
+            } else {
+                report.push(`BPM ${value} at beat ${beat} is not supported and was left out`);
+            }
+        });
+
+        const stops = [];
+        parseList(songTags.STOPS).forEach(([beat, seconds]) => {
+            if (seconds > 0) {
+                stops.push({ ...toPosition(beat), duration: seconds });
+            } else {
+                report.push(`Stop of ${seconds}s at beat ${beat} is not supported and was left out`);
+            }
+        });
+
+        return { bpm, bpmChanges, stops };
+    }
+
+    // Lower case difficulty, with the steps type or a number added when it is taken
+    getChartName(simfileChart, charts) {
+        const difficulty = (simfileChart.DIFFICULTY || 'edit').trim().toLowerCase();
+        let name = charts[difficulty] ? `${difficulty}-${(simfileChart.STEPSTYPE || '').trim()}` : difficulty;
+        for (let count = 2; charts[name]; count++) {
+            name = `${difficulty}-${count}`;
+        }
+        return name;
+    }
+
+    // Lanes of the preset, top to bottom
+    getLanes() {
+        return Array.isArray(this.preset) ? [...new Set(this.preset.filter(lane => lane))] : ['top', 'bottom'];
+    }
+
+    getLane(column, columns) {
+        if (Array.isArray(this.preset)) {
+            return this.preset[column] || null;
+        }
+        const preset = this.presets[this.preset];
+        if (!preset) {
+            throw new Error(`Unknown column mapping preset '${this.preset}'`);
+        }
+        return preset(column, columns);
+    }
+
+    // Measure blocks split by ',', each with as many rows as its resolution needs.
+    // Returns the measures with a <lane>Lane pattern per lane, or null if the chart can't be read.
+    convertNotes(noteData, name, report) {
+        const blocks = noteData.split(',').map(block => block.split(/\s+/).filter(row => row.length > 0));
+        const columns = (blocks.find(rows => rows.length > 0) || [''])[0].length;
+        if (columns === 0) {
+            report.push(`Chart '${name}' has no notes and was left out`);
+            return null;
+        }
+
+        const kinds = { '1': 'tap', 'L': 'tap', '2': 'holdStart', '4': 'rollStart', '3': 'end', 'M': 'mine' };
+        const columnNotes = Array.from({ length: columns }, () => []);
+        let lifts = 0;
+        let fakes = 0;
+
+        blocks.forEach((rows, measure) => {
+            rows.forEach((row, index) => {
+                for (let column = 0; column < Math.min(columns, row.length); column++) {
+                    const char = row[column].toUpperCase();
+                    if (char === 'L') lifts++;
+                    if (char === 'F') fakes++;
+                    if (kinds[char]) {
+                        columnNotes[column].push({ measure, index, length: rows.length, kind: kinds[char], position: measure + index / rows.length });
+                    }
+                }
+            });
+        });
+
+        if (lifts > 0) report.push(`Chart '${name}': ${lifts} lifts were read as taps`);
+        if (fakes > 0) report.push(`Chart '${name}': ${fakes} fake notes were left out`);
+
+        // Holds and rolls run from their head to the next '3' in the same column
+        const lanes = this.getLanes();
+        const laneNotes = {};
+        lanes.forEach(lane => {
+            laneNotes[lane] = [];
+        });
+        const unmappedColumns = [];
+        let unmappedNotes = 0;
+        columnNotes.forEach((notes, column) => {
+            const lane = this.getLane(column, columns);
+            let head = null;
+
+            // A preset array shorter than the chart leaves the last columns without a lane
+            if (!lane && notes.length > 0) {
+                unmappedColumns.push(column);
+                unmappedNotes += notes.filter(note => note.kind !== 'end').length;
+            }
+
+            notes.forEach(note => {
+                if (note.kind === 'end') {
+                    if (head) {
+                        note.kind = head.kind === 'rollStart' ? 'rollEnd' : 'holdEnd';
+                        head.end = note;
+                        head = null;
+                        if (lane) laneNotes[lane].push(note);
+                    } else {
+                        report.push(`Chart '${name}': hold end without a head in column ${column}, measure ${note.measure} was left out`);
+                    }
+                    return;
+                }
+
+                if (head) {
+                    report.push(`Chart '${name}': note inside a hold in column ${column}, measure ${note.measure} was left out`);
+                    return;
+                }
+                if (note.kind === 'holdStart' || note.kind === 'rollStart') {
+                    head = note;
+                }
+                if (lane) laneNotes[lane].push(note);
+            });
+
+            if (head) {
+                report.push(`Chart '${name}': hold in column ${column}, measure ${head.measure} never ends and was left out`);
+                if (lane) laneNotes[lane] = laneNotes[lane].filter(note => note !== head);
+            }
+        });
+        if (unmappedColumns.length > 0) {
+            report.push(`Chart '${name}': columns ${unmappedColumns.join(', ')} have no lane in the preset, their ${unmappedNotes} notes were left out`);
+        }
+
+        const measures = blocks.map(rows => {
+            const subdivision = Math.max(rows.length, 1);
+            const measure = { subdivision };
+            lanes.forEach(lane => {
+                measure[`${lane}Lane`] = Array(subdivision).fill('0');
+            });
+            return measure;
+        });
+
+        // Several columns share a lane: the lane gets the first note on each row, and notes
+        // that start while a hold of the same lane is still going are left out
+        const order = { holdEnd: 0, rollEnd: 0, holdStart: 1, rollStart: 1, tap: 2, mine: 3 };
+        let merged = 0;
+        let insideHold = 0;
+
+        Object.entries(laneNotes).forEach(([lane, notes]) => {
+            const taken = new Set();
+            let openHold = null;
+
+            notes.sort((a, b) => a.position - b.position || order[a.kind] - order[b.kind]).forEach(note => {
+                if (note.kind === 'holdEnd' || note.kind === 'rollEnd') {
+                    if (openHold && openHold.end === note) {
+                        openHold = null;
+                        taken.add(note.position);
+                        measures[note.measure][`${lane}Lane`][note.index] = this.noteChars[note.kind];
+                    }
+                    return;
+                }
+
+                if (openHold || taken.has(note.position)) {
+                    if (openHold) insideHold++; else merged++;
+                    return;
+                }
+
+                taken.add(note.position);
+                measures[note.measure][`${lane}Lane`][note.index] = this.noteChars[note.kind];
+                if (note.end) {
+                    openHold = note;
+                }
+            });
+        });
+
+        if (merged > 0) {
+            report.push(`Chart '${name}': ${merged} notes landed on a row another column already filled in the same lane and were merged`);
+        }
+        if (insideHold > 0) {
+            report.push(`Chart '${name}': ${insideHold} notes fell inside a hold of the same lane and were left out`);
+        }
+
+        return measures.map(measure => {
+            const patterns = { subdivision: measure.subdivision };
+            lanes.forEach(lane => {
+                patterns[`${lane}Lane`] = measure[`${lane}Lane`].join('');
+            });
+            return patterns;
+        });
+    }
+}
+
+// Allow requiring under Node for headless simulation
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StepManiaImporter;
+
+    if (require.main === module) {
+        const fs = require('fs');
+        const [simfilePath, preset] = process.argv.slice(2);
+
+        if (!simfilePath) {
+            console.error('Usage: node scripts/stepmania-importer.js <song.sm|song.ssc> [halves|alternate|outer|lane,lane,...]');
+            process.exit(1);
+        }
+
+        const importer = new StepManiaImporter({ preset: preset && preset.includes(',') ? preset.split(',') : preset, logger: { warn: (...args) => console.error(...args) } });
+        const { chart } = importer.convert(fs.readFileSync(simfilePath, 'utf8'));
+        console.log(JSON.stringify(chart, null, 2));
+    }
+}
@@ -2,7 +2,207 @@ class UIManager {
     constructor(gameStateManager) {
         this.gameStateManager = gameStateManager;
         this.judgmentTimeout = null;
+        this.renderer = null;
+        this.isDraggingSeek = false;
         this.setupVolumeControls();
+        this.setupReplayControls();
+        this.setupPracticeControls();
+        this.setupOffsetControls();
+        this.setupScrollSpeedControls();
+        this.setupRendererControls();
+        this.setRenderer(this.gameStateManager.settings.get('renderer'));
+    }
+
+    setupScrollSpeedControls() {
+        const settings = this.gameStateManager.settings;
+        const scrollSpeed = document.getElementById('scroll-speed');
+        const scrollSpeedValue = document.getElementById('scroll-speed-value');
+        const scrollDuration = document.getElementById('scroll-duration');
+
+        if (scrollSpeed) {
+            scrollSpeed.value = settings.get('scrollSpeed');
+            // The label follows the drag, the setting is saved once it is let go
+            scrollSpeed.addEventListener('input', (e) => {
+                if (scrollSpeedValue) {
+                    scrollSpeedValue.textContent = `${parseFloat(e.target.value).toFixed(1)}x`;
+                }
+            });
+            scrollSpeed.addEventListener('change', (e) => {
+                settings.set('scrollSpeed', parseFloat(e.target.value));
+            });
+        }
+
+        if (scrollSpeedValue) {
+            scrollSpeedValue.textContent = `${settings.get('scrollSpeed').toFixed(1)}x`;
+        }
+
+        if (scrollDuration) {
+            scrollDuration.value = settings.get('scrollDuration');
+            scrollDuration.addEventListener('change', (e) => {
+                settings.set('scrollDuration', Math.max(0, parseInt(e.target.value, 10) || 0));
+            });
+        }
+    }
+
+    // Seek bar and speed picker shown while watching a replay
+    setupReplayControls() {
+        const seek = document.getElementById('replay-seek');
+        const speed = document.getElementById('replay-speed');
+
+        if (seek) {
+            seek.addEventListener('input', () => {
+                this.isDraggingSeek = true;
+            });
+            seek.addEventListener('change', (e) => {
+                this.isDraggingSeek = false;
+                const gameEngine = this.gameStateManager.gameEngine;
+                gameEngine.seekTo((parseFloat(e.target.value) / 100) * gameEngine.songDuration);
+            });
+        }
+
+        if (speed) {
+            speed.addEventListener('change', (e) => {
+                this.gameStateManager.gameEngine.setPlaybackRate(parseFloat(e.target.value));
+            });
+        }
+    }
+
+    showReplayControls(visible) {
+        const controls = document.getElementById('replay-controls');
+        const seek = document.getElementById('replay-seek');
+        const speed = document.getElementById('replay-speed');
+
+        if (controls) {
+            controls.classList.toggle('show', visible);
+        }
+        if (seek) {
+            seek.value = 0;
+        }
+        if (speed) {
+            speed.value = '1';
+        }
+    }
+
+    updateReplaySeek(percentage) {
+        const seek = document.getElementById('replay-seek');
+        if (seek && !this.isDraggingSeek) {
+            seek.value = percentage;
+        }
+    }
+
+    // Compares a watched replay's result with the one recorded; null hides the message
+    showReplayCheck(recorded, actual) {
+        const check = document.getElementById('replay-check');
+        if (!check) return;
+
+        check.classList.toggle('show', recorded !== null);
+        if (recorded === null) return;
+
+        const matches = recorded.score === actual.score && recorded.maxCombo === actual.maxCombo;
+        check.classList.toggle('mismatch', !matches);
+        check.textContent = matches
+            ? `REPLAY - matches the recorded score of ${recorded.score.toLocaleString()}`
+            : `REPLAY - recorded score ${recorded.score.toLocaleString()} (max combo ${recorded.maxCombo}) does not match`;
+    }
+
+    showReplayActions(visible) {
+        const actions = document.getElementById('replay-actions');
+        const saveButton = document.getElementById('save-replay-btn');
+
+        if (actions) {
+            actions.classList.toggle('show', visible);
+        }
+        if (saveButton) {
+            saveButton.disabled = false;
+            saveButton.textContent = 'Save Replay';
+        }
+    }
+
+    markReplaySaved() {
+        const saveButton = document.getElementById('save-replay-btn');
+        if (saveButton) {
+            saveButton.disabled = true;
+            saveButton.textContent = 'Saved';
+        }
+    }
+
+    // handlers: { onWatch, onExport, onDelete }, each called with the replay
+    renderReplayList(replays, handlers) {
+        const list = document.getElementById('replay-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (replays.length === 0) {
+            list.textContent = 'No saved replays yet. Finish a song and press "Save Replay".';
+            return;
+        }
+
+        replays.forEach(replay => {
+            const item = document.createElement('div');
+            item.className = 'replay-item';
+
+            const info = document.createElement('div');
+            info.className = 'replay-info';
+            const difficulty = replay.difficulty ? ` [${replay.difficulty}]` : '';
+            info.textContent = `${replay.title || replay.chartId}${difficulty} - ${replay.result.score.toLocaleString()} ` +
+                `(${new Date(replay.recordedAt).toLocaleString()})`;
+            item.appendChild(info);
+
+            [['Watch', handlers.onWatch], ['Export', handlers.onExport], ['Delete', handlers.onDelete]].forEach(([label, handler]) => {
+                const button = document.createElement('button');
+                button.className = 'replay-btn';
+                button.textContent = label;
+                button.addEventListener('click', () => handler(replay));
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    showReplayStatus(message) {
+        const status = document.getElementById('replay-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    setupRendererControls() {
+        const rendererSelect = document.getElementById('renderer-select');
+        if (!rendererSelect) return;
+
+        rendererSelect.value = this.gameStateManager.settings.get('renderer');
+        rendererSelect.addEventListener('change', (e) => {
+            this.gameStateManager.settings.set('renderer', e.target.value);
+            this.setRenderer(e.target.value);
+        });
+    }
+
+    // Swap the playfield renderer ('dom' or 'canvas'); takes effect from the next note drawn
+    setRenderer(type) {
+        if (this.renderer) {
+            this.renderer.destroy();
+        }
+
+        const canvas = document.getElementById('playfield-canvas');
+        if (type === 'canvas' && canvas && canvas.getContext) {
+            this.renderer = new CanvasRenderer(canvas);
+        } else {
+            this.renderer = new DOMRenderer();
+        }
+
+        console.log('Renderer set to:', type);
+    }
+
+    // Width the playfield is laid out against; the engine places hit zone and spawn point from it
+    getViewportWidth() {
+        return window.innerWidth;
+    }
+
+    // Draw the current frame (called once per game loop update)
+    render() {
+        this.renderer.render();
     }
 
     setupVolumeControls() {
@@ -32,6 +232,125 @@ class UIManager {
         }
     }
 
+    setupOffsetControls() {
+        const settings = this.gameStateManager.settings;
+        const audioOffset = document.getElementById('audio-offset');
+        const visualOffset = document.getElementById('visual-offset');
+
+        if (audioOffset) {
+            audioOffset.addEventListener('change', (e) => {
+                settings.set('audioOffset', parseInt(e.target.value, 10) || 0);
+            });
+        }
+
+        if (visualOffset) {
+            visualOffset.addEventListener('change', (e) => {
+                settings.set('visualOffset', parseInt(e.target.value, 10) || 0);
+            });
+        }
+
+        this.updateOffsetDisplay(settings);
+    }
+
+    updateOffsetDisplay(settings) {
+        const audioOffset = document.getElementById('audio-offset');
+        const visualOffset = document.getElementById('visual-offset');
+
+        if (audioOffset) {
+            audioOffset.value = settings.get('audioOffset');
+        }
+        if (visualOffset) {
+            visualOffset.value = settings.get('visualOffset');
+        }
+    }
+
+    updateCalibrationStatus(message, taps, totalTaps) {
+        const status = document.getElementById('calibration-status');
+        const progress = document.getElementById('calibration-progress');
+
+        if (status) {
+            status.textContent = message;
+        }
+        if (progress) {
+            progress.textContent = `${taps} / ${totalTaps} taps`;
+        }
+    }
+
+    flashCalibrationBeat() {
+        const pad = document.getElementById('calibration-pad');
+        if (!pad) return;
+
+        pad.classList.add('flash');
+        setTimeout(() => {
+            pad.classList.remove('flash');
+        }, 100);
+    }
+
+    // Song select: info is { title, artist, difficulties: [{ name, level }] }, null if it failed to load
+    showSongInfo(info) {
+        const songInfo = document.getElementById('song-info');
+        const difficultySelect = document.getElementById('difficulty-select');
+        if (!songInfo || !difficultySelect) return;
+
+        songInfo.textContent = info ? (info.artist ? `${info.title} - ${info.artist}` : info.title) : 'Could not load this song';
+
+        difficultySelect.innerHTML = '';
+        (info ? info.difficulties : []).forEach(difficulty => {
+            const option = document.createElement('option');
+            option.value = difficulty.name;
+            option.textContent = difficulty.level !== undefined ? `${difficulty.name} (Lv ${difficulty.level})` : difficulty.name;
+            difficultySelect.appendChild(option);
+        });
+        // A lone difficulty without a level has nothing to pick or show
+        const hasChoice = info && (info.difficulties.length > 1 || info.difficulties.some(difficulty => difficulty.level !== undefined));
+        difficultySelect.style.display = hasChoice ? '' : 'none';
+    }
+
+    // Chart check on the menu: a summary line, and the errors and warnings in a list to expand
+    showChartLint(lint) {
+        const container = document.getElementById('chart-lint');
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!lint) return;
+
+        const entries = [...lint.errors, ...lint.warnings].sort((a, b) => a.time - b.time);
+        if (entries.length === 0) {
+            container.textContent = 'Chart check: no problems found';
+            return;
+        }
+
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = `Chart check: ${lint.errors.length} errors, ${lint.warnings.length} warnings`;
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `lint-${entry.severity}`;
+            item.textContent = `${(entry.time / 1000).toFixed(2)}s ${entry.lane}: ${entry.message}`;
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+        container.appendChild(details);
+    }
+
+    // In-game song title, with the difficulty and level for BMS songs
+    showNowPlaying(metadata) {
+        const nowPlaying = document.getElementById('now-playing');
+        if (!nowPlaying) return;
+
+        if (!metadata) {
+            nowPlaying.textContent = '';
+            return;
+        }
+
+        const level = metadata.level !== undefined ? ` Lv ${metadata.level}` : '';
+        const difficulty = metadata.difficulty ? ` [${metadata.difficulty}${level}]` : '';
+        nowPlaying.textContent = `${metadata.title}${difficulty}`;
+    }
+
     updateScore(score) {
         const scoreDisplay = document.getElementById('score-display');
         if (scoreDisplay) {
@@ -60,6 +379,100 @@ class UIManager {
         }
     }
 
+    // Marks the HUD and results screen for runs that don't count: 'autoplay', 'practice' or null
+    showModeBadge(mode) {
+        const labels = { autoplay: 'AUTOPLAY', practice: 'PRACTICE' };
+
+        document.querySelectorAll('.mode-badge').forEach(badge => {
+            badge.classList.toggle('show', mode !== null);
+            if (mode !== null) {
+                badge.textContent = labels[mode] + (badge.dataset.suffix || '');
+            }
+        });
+    }
+
+    showResultsTitle(title) {
+        const heading = document.getElementById('results-title');
+        if (heading) {
+            heading.textContent = title;
+        }
+    }
+
+    updateHealth(health, maxHealth) {
+        const healthBar = document.getElementById('health-bar');
+        if (healthBar) {
+            healthBar.style.width = `${(health / maxHealth) * 100}%`;
+            healthBar.classList.toggle('low', health <= maxHealth * 0.3);
+        }
+    }
+
+    setupPracticeControls() {
+        const rate = document.getElementById('practice-rate');
+        const rateValue = document.getElementById('practice-rate-value');
+
+        if (rate && rateValue) {
+            rate.addEventListener('input', (e) => {
+                rateValue.textContent = `${parseFloat(e.target.value).toFixed(2)}x`;
+            });
+        }
+    }
+
+    // Practice screen choices, in the shape GameEngine.setPractice expects plus rate and noFail
+    getPracticeOptions() {
+        const value = (id) => document.getElementById(id);
+
+        return {
+            unit: value('practice-unit').value,
+            from: parseFloat(value('practice-from').value) || 0,
+            to: parseFloat(value('practice-to').value) || 0,
+            rate: parseFloat(value('practice-rate').value),
+            loop: value('practice-loop').checked,
+            noFail: value('practice-no-fail').checked
+        };
+    }
+
+    getRecorderOptions() {
+        return {
+            holdThreshold: parseFloat(document.getElementById('recorder-hold-threshold').value) || 200,
+            undoSeconds: parseFloat(document.getElementById('recorder-undo-seconds').value) || 5
+        };
+    }
+
+    updateRecorderStatus(message, noteCount) {
+        const status = document.getElementById('recorder-status');
+        const count = document.getElementById('recorder-count');
+
+        if (status) {
+            status.textContent = message;
+        }
+        if (count) {
+            count.textContent = `${noteCount} notes`;
+        }
+    }
+
+    showPracticeStatus(message) {
+        const status = document.getElementById('practice-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    togglePauseMenu(visible) {
+        const overlay = document.getElementById('pause-overlay');
+        if (overlay) {
+            overlay.classList.toggle('show', visible);
+        }
+    }
+
+    // Shows the resume countdown; 0 hides it
+    showCountdown(seconds) {
+        const countdown = document.getElementById('countdown-text');
+        if (!countdown) return;
+
+        countdown.textContent = seconds > 0 ? seconds : '';
+        countdown.classList.toggle('show', seconds > 0);
+    }
+
     showJudgment(judgment) {
         const judgmentElement = document.getElementById('judgment-text');
         if (!judgmentElement) return;
@@ -104,42 +517,7 @@ class UIManager {
         const centerX = rect.left + rect.width / 2;
         const centerY = rect.top + rect.height / 2;
 
-        for (let i = 0; i < 8; i++) {
-            const particle = document.createElement('div');
-            particle.style.position = 'fixed';
-            particle.style.left = centerX + 'px';
-            particle.style.top = centerY + 'px';
-            particle.style.width = '8px';
-            particle.style.height = '8px';
-            particle.style.background = '#ffd700';
-            particle.style.borderRadius = '50%';
-            particle.style.pointerEvents = 'none';
-            particle.style.zIndex = '1000';
-            particle.style.boxShadow = '0 0 10px #ffd700';
-
-            document.body.appendChild(particle);
-
-            const angle = (i / 8) * Math.PI * 2;
-            const distance = 100;
-            const endX = centerX + Math.cos(angle) * distance;
-            const endY = centerY + Math.sin(angle) * distance;
-
-            particle.animate([
-                { 
-                    transform: 'translate(0, 0) scale(1)',
-                    opacity: 1
-                },
-                { 
-                    transform: `translate(${endX - centerX}px, ${endY - centerY}px) scale(0)`,
-                    opacity: 0
-                }
-            ], {
-                duration: 600,
-                easing: 'ease-out'
-            }).onfinish = () => {
-                particle.remove();
-            };
-        }
+        this.renderer.spawnParticles(centerX, centerY, { count: 8, color: '#ffd700', size: 8, distance: 100, duration: 600 });
     }
 
     addScreenShake(intensity = 1) {
@@ -154,102 +532,112 @@ class UIManager {
         }, 100);
     }
 
-    createNote(lane, position, type = 'normal', duration = 0) {
-        console.log(`UI: Creating ${type} note for ${lane} lane`);
-        
-        // Get the lane element to know its vertical position
-        const laneElement = document.getElementById(`${lane}-lane`);
-        if (!laneElement) {
-            console.error(`Lane element not found: ${lane}-lane`);
-            return null;
-        }
-        
-        // Get the lane's position on screen
-        const laneRect = laneElement.getBoundingClientRect();
-        const laneCenter = laneRect.top + (laneRect.height / 2);
-        
-        // Create note using same approach as red box - fixed positioning
-        const note = document.createElement('div');
-        note.className = `note ${type}-note`;
-        note.style.position = 'fixed';
-        note.style.top = (laneCenter - 40) + 'px'; // Center in lane (40px = half of 80px note height)
-        note.style.right = '0px'; // Start at right edge of screen
-        note.style.width = '80px';
-        note.style.height = '80px';
-        note.style.zIndex = '1000';
-        note.dataset.lane = lane;
-        note.dataset.position = position;
-        note.dataset.type = type;
-
-        if (type === 'hold') {
-            // Hold note styling - rectangular with gradient
-            note.style.background = 'linear-gradient(90deg, #ffd700, #ffb347, #ffd700)';
-            note.style.border = '4px solid rgba(255, 215, 0, 1)';
-            note.style.borderRadius = '15px';
-            note.style.boxShadow = '0 0 30px rgba(255, 215, 0, 0.8)';
-            
-            // Add hold note symbol and progress bar
-            note.innerHTML = `
-                <div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); color: white; font-size: 1.2rem; font-weight: bold;">HOLD</div>
-                <div class="hold-progress" style="position: absolute; bottom: 0; left: 0; width: 0%; height: 6px; background: rgba(255, 255, 255, 0.8); border-radius: 0 0 10px 10px; transition: width 0.1s ease-out;"></div>
+    // Chart effects lane: a full screen flash of color, fading out over duration ms
+    flashScreen(color = 'white', duration = 200) {
+        const overlay = document.getElementById('flash-overlay');
+        if (!overlay) return;
+
+        overlay.style.transition = 'none';
+        overlay.style.background = color;
+        overlay.style.opacity = '0.8';
+
+        // Let the browser apply the full opacity before fading it out
+        requestAnimationFrame(() => {
+            overlay.style.transition = `opacity ${duration}ms ease-out`;
+            overlay.style.opacity = '0';
+        });
+    }
+
+    // Swaps where the lanes are on screen; their keys stay the same
+    setLanesSwapped(swapped) {
+        const gameArea = document.querySelector('.game-area');
+        if (!gameArea || gameArea.classList.contains('lanes-swapped') === swapped) return;
+
+        gameArea.classList.toggle('lanes-swapped', swapped);
+        this.renderer.refreshLaneLayout();
+    }
+
+    // Replaces the lanes on screen with one per chart lane (top to bottom), each
+    // labelled with its keys; renderers find them by their ${lane}-lane id
+    setupLanes(lanes, laneKeys = {}) {
+        const gameArea = document.querySelector('.game-area');
+        if (!gameArea) return;
+
+        gameArea.querySelectorAll('.lane').forEach(laneElement => laneElement.remove());
+        lanes.forEach(lane => {
+            const laneElement = document.createElement('div');
+            laneElement.id = `${lane}-lane`;
+            laneElement.className = 'lane';
+            laneElement.dataset.lane = lane;
+
+            const keys = (laneKeys[lane] || []).map(key => (key === ' ' ? 'SPACE' : key.toUpperCase()));
+            laneElement.innerHTML = `
+                <div class="hit-zone"></div>
+                <div class="note-area"></div>
+                <div class="lane-keys">${keys.join(' ')}</div>
             `;
+            gameArea.appendChild(laneElement);
+        });
+
+        // Lanes get thinner past three so they still fit on screen
+        if (lanes.length > 3) {
+            gameArea.style.setProperty('--lane-height', `${Math.max(60, Math.floor(360 / lanes.length))}px`);
         } else {
-            // Regular note styling
-            note.style.background = 'radial-gradient(circle, #ff6b9d, #c44569)';
-            note.style.border = '4px solid rgba(255, 255, 255, 1)';
-            note.style.borderRadius = '50%';
-            note.style.boxShadow = '0 0 30px rgba(255, 107, 157, 1)';
-            note.innerHTML = '<div style="position: absolute; top: 50%; left: 50%; transform: translate(-50%, -50%); color: white; font-size: 1.5rem; font-weight: bold;">●</div>';
+            gameArea.style.removeProperty('--lane-height');
         }
-
-        document.body.appendChild(note);
-        console.log(`${type} note created and added to body at top: ${note.style.top}`);
-        return note;
     }
 
-    moveNote(note, speed) {
-        if (!note || !note.parentElement) return;
+    setHiddenLanes(lanes) {
+        document.querySelectorAll('.game-area .lane').forEach(laneElement => {
+            laneElement.classList.toggle('lane-hidden', lanes.includes(laneElement.dataset.lane));
+        });
+    }
 
-        const currentRight = parseInt(note.style.right) || 0;
-        const newRight = currentRight + speed;
-        note.style.right = newRight + 'px';
+    // null for both goes back to the stylesheet's background
+    setBackground(color, image) {
+        const gameScreen = document.getElementById('game-screen');
+        if (!gameScreen) return;
 
-        const noteAreaWidth = note.parentElement.offsetWidth;
-        if (newRight >= noteAreaWidth + 60) {
-            this.removeNote(note);
-            return false;
+        if (image) {
+            // The path comes from the chart, escape it so it can't end the CSS string
+            const url = image.replace(/["\\]/g, '\\$&');
+            gameScreen.style.background = `url("${url}") center / cover no-repeat`;
+        } else {
+            gameScreen.style.background = color || '';
         }
+    }
 
-        return true;
+    createNote(lane, position, type = 'normal', duration = 0) {
+        return this.renderer.createNote(lane, position, type, duration);
     }
 
-    removeNote(note) {
-        if (note && note.parentElement) {
-            note.remove();
-        }
+    // Place a note so its center sits at screen x; hold notes also get their tail's x
+    setNotePosition(note, x, tailX = x) {
+        this.renderer.setNotePosition(note, x, tailX);
     }
 
-    isNoteInHitZone(note) {
-        if (!note) return false;
+    // Ghost notes fade out on their way to the hit zone
+    setNoteOpacity(note, opacity) {
+        this.renderer.setNoteOpacity(note, opacity);
+    }
 
-        const noteRect = note.getBoundingClientRect();
-        const hitZone = note.parentElement.parentElement.querySelector('.hit-zone');
-        if (!hitZone) return false;
+    removeNote(note) {
+        this.renderer.removeNote(note);
+    }
 
-        const hitZoneRect = hitZone.getBoundingClientRect();
-        
-        const noteCenter = noteRect.left + noteRect.width / 2;
-        const hitZoneCenter = hitZoneRect.left + hitZoneRect.width / 2;
-        const distance = Math.abs(noteCenter - hitZoneCenter);
+    showHitZones(hitZoneX, lanes) {
+        this.renderer.showHitZones(hitZoneX, lanes);
+    }
 
-        const perfectWindow = 30;
-        const greatWindow = 60;
-        const goodWindow = 90;
+    clearHitZones() {
+        this.renderer.clearHitZones();
+    }
+
+    // Judgment a note would get if hit at inputTime (song time, ms)
+    isNoteInHitZone(note, inputTime) {
+        if (!note) return false;
 
-        if (distance <= perfectWindow) return 'perfect';
-        if (distance <= greatWindow) return 'great';
-        if (distance <= goodWindow) return 'good';
-        return 'miss';
+        return this.gameStateManager.gameEngine.calculateJudgment(note, inputTime);
     }
 
     setMasterVolume(volume) {
@@ -274,94 +662,19 @@ class UIManager {
 
     startHoldEffect(holdNote) {
         console.log('Starting hold effect for note');
-        if (holdNote.element) {
-            holdNote.element.style.transform = 'scale(1.1)';
-            holdNote.element.style.filter = 'brightness(1.3)';
-            
-            // Add pulsing animation
-            holdNote.element.style.animation = 'holdPulse 0.5s ease-in-out infinite alternate';
-        }
+        this.renderer.startHoldEffect(holdNote.element);
     }
 
     updateHoldProgress(holdNote, progress) {
-        if (holdNote.element) {
-            const progressBar = holdNote.element.querySelector('.hold-progress');
-            if (progressBar) {
-                progressBar.style.width = (progress * 100) + '%';
-            }
-        }
+        this.renderer.updateHoldProgress(holdNote.element, progress);
     }
 
     completeHoldEffect(holdNote, judgment) {
         console.log(`Completing hold effect with judgment: ${judgment}`);
-        
-        if (holdNote.element) {
-            // Stop pulsing animation
-            holdNote.element.style.animation = 'none';
-            
-            // Show completion effect based on judgment
-            if (judgment === 'perfect') {
-                holdNote.element.style.background = 'linear-gradient(90deg, #00ff00, #32cd32, #00ff00)';
-                holdNote.element.style.boxShadow = '0 0 50px rgba(0, 255, 0, 1)';
-                this.createHoldCompletionParticles(holdNote.element);
-            } else if (judgment === 'great') {
-                holdNote.element.style.background = 'linear-gradient(90deg, #00bfff, #87ceeb, #00bfff)';
-                holdNote.element.style.boxShadow = '0 0 40px rgba(0, 191, 255, 0.8)';
-            } else if (judgment === 'good') {
-                holdNote.element.style.background = 'linear-gradient(90deg, #ffa500, #ffd700, #ffa500)';
-                holdNote.element.style.boxShadow = '0 0 30px rgba(255, 165, 0, 0.8)';
-            } else {
-                holdNote.element.style.background = 'linear-gradient(90deg, #ff0000, #ff6b6b, #ff0000)';
-                holdNote.element.style.boxShadow = '0 0 20px rgba(255, 0, 0, 0.8)';
-            }
-            
-            // Remove after animation
-            setTimeout(() => {
-                this.removeNote(holdNote.element);
-            }, 500);
-        }
+        this.renderer.completeHoldEffect(holdNote.element, judgment);
     }
 
-    createHoldCompletionParticles(noteElement) {
-        const rect = noteElement.getBoundingClientRect();
-        const centerX = rect.left + rect.width / 2;
-        const centerY = rect.top + rect.height / 2;
-
-        for (let i = 0; i < 12; i++) {
-            const particle = document.createElement('div');
-            particle.style.position = 'fixed';
-            particle.style.left = centerX + 'px';
-            particle.style.top = centerY + 'px';
-            particle.style.width = '6px';
-            particle.style.height = '6px';
-            particle.style.background = '#00ff00';
-            particle.style.borderRadius = '50%';
-            particle.style.pointerEvents = 'none';
-            particle.style.zIndex = '1001';
-            particle.style.boxShadow = '0 0 8px #00ff00';
-
-            document.body.appendChild(particle);
-
-            const angle = (i / 12) * Math.PI * 2;
-            const distance = 120;
-            const endX = centerX + Math.cos(angle) * distance;
-            const endY = centerY + Math.sin(angle) * distance;
-
-            particle.animate([
-                { 
-                    transform: 'translate(0, 0) scale(1)',
-                    opacity: 1
-                },
-                { 
-                    transform: `translate(${endX - centerX}px, ${endY - centerY}px) scale(0)`,
-                    opacity: 0
-                }
-            ], {
-                duration: 800,
-                easing: 'ease-out'
-            }).onfinish = () => {
-                particle.remove();
-            };
-        }
+    updateMashCount(mashNote, hits) {
+        this.renderer.updateMashCount(mashNote.element, hits);
     }
 }
\ No newline at end of file
@@ -0,0 +1,40 @@
+// BMS import: what gets lost when a measure is snapped to the 192 grid
+const test = require('node:test');
+const assert = require('node:assert');
+const BMSParser = require('../scripts/bms-parser.js');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+// A channel line of `length` objects with `id` at the given indexes
+function line(length, indexes, id = '01') {
+    const objects = Array(length).fill('00');
+    indexes.forEach(index => {
+        objects[index] = id;
+    });
+    return objects.join('');
+}
+
+test('notes snapped onto the same slot are reported', () => {
+    // 997 steps can't be a grid, 995 and 996 both snap to the last slot of 192
+    const text = ['#BPM 120', `#00111:${line(997, [995, 996])}`].join('\n');
+    const { chart, report } = new BMSParser(quiet).parse(text);
+    const measure = Object.values(chart.charts)[0].measures[1];
+
+    assert.strictEqual(measure.topLane.length, 192);
+    assert.ok(report.some(message => message.includes('1 notes snapped onto a spot')), report.join('\n'));
+});
+
+test('a long note start keeps its slot over a tap snapped onto it', () => {
+    const text = [
+        '#BPM 120',
+        `#00111:${line(997, [995])}`,
+        `#00151:${line(997, [996])}`,
+        '#00251:01'
+    ].join('\n');
+    const { chart, report } = new BMSParser(quiet).parse(text);
+    const measures = Object.values(chart.charts)[0].measures;
+
+    assert.strictEqual(measures[1].topLane[191], '2');
+    assert.strictEqual(measures[2].topLane[0], '3');
+    assert.ok(report.some(message => message.includes('1 notes snapped onto a spot')), report.join('\n'));
+});
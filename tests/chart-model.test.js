@@ -0,0 +1,49 @@
+// Charts written by ChartModel read back to the same notes
+const test = require('node:test');
+const assert = require('node:assert');
+const ChartLoader = require('../scripts/chart-loader.js');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+function roundTrip(chart) {
+    const chartModel = new ChartLoader(quiet).chartModel;
+    const written = chartModel.write(chartModel.read(chart), 'note_events');
+    return chartModel.read(written);
+}
+
+function notesOf(model) {
+    const notes = Object.values(model.difficulties)[0].notes;
+    return notes.map(note => `${note.timestamp} ${note.lane} ${note.type}`).sort();
+}
+
+test('double notes keep both lanes through note_events', () => {
+    const chart = {
+        metadata: { title: 'Doubles', duration: 5000, lanes: ['a', 'b', 'c', 'd'] },
+        notes: [
+            // Adjacent lanes, lanes apart, and two doubles at the same time
+            { id: 'n1', type: 'double', lane: 'a', timestamp: 1000, duration: 0 },
+            { id: 'n2', type: 'double', lane: 'b', timestamp: 1000, duration: 0 },
+            { id: 'n3', type: 'double', lane: 'a', timestamp: 2000, duration: 0 },
+            { id: 'n4', type: 'double', lane: 'd', timestamp: 2000, duration: 0 },
+            { id: 'n5', type: 'double', lane: 'a', timestamp: 3000, duration: 0 },
+            { id: 'n6', type: 'double', lane: 'c', timestamp: 3000, duration: 0 },
+            { id: 'n7', type: 'double', lane: 'b', timestamp: 3000, duration: 0 },
+            { id: 'n8', type: 'double', lane: 'd', timestamp: 3000, duration: 0 }
+        ]
+    };
+    const original = new ChartLoader(quiet).chartModel.read(chart);
+
+    assert.deepStrictEqual(notesOf(roundTrip(chart)), notesOf(original));
+});
+
+test('a double on the last lane keeps its partner above', () => {
+    const chart = {
+        metadata: { title: 'Last lane', duration: 3000 },
+        notes: [
+            { id: 'n1', type: 'double', lane: 'bottom', timestamp: 1000, duration: 0 },
+            { id: 'n2', type: 'double', lane: 'top', timestamp: 1000, duration: 0 }
+        ]
+    };
+
+    assert.deepStrictEqual(notesOf(roundTrip(chart)), ['1000 bottom double', '1000 top double']);
+});
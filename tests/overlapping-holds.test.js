@@ -0,0 +1,49 @@
+// Holds that start while another hold of the same lane is still running, e.g. two keys
+// of a note_events chart folded onto one lane
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { HeadlessSimulator } = require('../scripts/headless-simulator.js');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+function hold(id, timestamp, duration) {
+    return { id, type: 'hold', lane: 'top', timestamp, duration };
+}
+
+test('autoplay completes a hold that the next hold of its lane cuts short', () => {
+    const chart = {
+        metadata: { title: 'Overlap', duration: 6000 },
+        notes: [hold('a', 1000, 2000), hold('b', 2000, 2000)]
+    };
+    const result = new HeadlessSimulator({ autoplay: true, logger: quiet }).run(chart);
+
+    assert.strictEqual(result.stats.miss, 0);
+    // Two heads and two completions
+    assert.strictEqual(result.stats.perfect, 4);
+});
+
+test('letting go of the running hold before the next hold is still judged as a release', () => {
+    const chart = {
+        metadata: { title: 'Back to back', duration: 6000 },
+        notes: [hold('a', 1000, 2000), hold('b', 3050, 1000)]
+    };
+    // The next head is pressed early, 80ms before the running hold reaches its tail
+    const inputs = [
+        { time: 1000, lane: 'top', action: 'press' },
+        { time: 2920, lane: 'top', action: 'press' },
+        { time: 4050, lane: 'top', action: 'release' }
+    ];
+    const result = new HeadlessSimulator({ logger: quiet }).run(chart, inputs);
+    const judgments = result.judgments.filter(judgment => judgment.judgment !== 'hold').map(judgment => judgment.judgment);
+
+    // First head, the early release of the running hold, the next head 130ms early, its completion
+    assert.deepStrictEqual(judgments, ['perfect', 'great', 'good', 'perfect']);
+});
+
+test('autoplay plays feel it without a miss', () => {
+    const chart = require(path.join(__dirname, '..', 'songs', 'feel it.json'));
+    const result = new HeadlessSimulator({ autoplay: true, logger: quiet }).run(chart);
+
+    assert.strictEqual(result.stats.miss, 0);
+});
@@ -0,0 +1,34 @@
+// StepMania import with a lane per column preset
+const test = require('node:test');
+const assert = require('node:assert');
+const StepManiaImporter = require('../scripts/stepmania-importer.js');
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+const simfile = [
+    '#TITLE:Columns;',
+    '#BPMS:0.000=120.000;',
+    '#NOTES:',
+    '     dance-single:',
+    '     :',
+    '     Easy:',
+    '     1:',
+    '     0,0,0,0,0:',
+    '1000',
+    '0100',
+    '0010',
+    '0001',
+    ';'
+].join('\n');
+
+test('columns the preset gives no lane are reported', () => {
+    const { report } = new StepManiaImporter({ preset: ['top', 'bottom'], logger: quiet }).convert(simfile);
+
+    assert.ok(report.includes("Chart 'easy': columns 2, 3 have no lane in the preset, their 2 notes were left out"), report.join('\n'));
+});
+
+test('a preset covering every column reports nothing left out', () => {
+    const { report } = new StepManiaImporter({ preset: ['1', '2', '3', '4'], logger: quiet }).convert(simfile);
+
+    assert.ok(!report.some(message => message.includes('no lane')), report.join('\n'));
+});